@@ -0,0 +1,700 @@
+/**
+ * VitalSwap Fee Page Message Catalogs
+ * Description: Interface strings for every supported language, looked up by App.t()
+ *
+ * Keys are shared across languages; a key missing from a catalog falls back to English.
+ * Messages may use {placeholders}. A message that depends on a number is an object of
+ * plural forms (zero, one, two, few, many, other) chosen by Intl.PluralRules from {count}.
+ */
+
+const I18n = {
+    en: {
+        'page.title': 'Stunning & Transparent Fees - VitalSwap',
+        'page.loading': '🔄 Loading real-time data...',
+        'nav.howItWorks': 'How It Works',
+        'nav.rates': 'Our Rates',
+        'nav.blog': 'Blog',
+        'nav.faq': 'FAQ',
+        'nav.download': 'Download App',
+        'nav.language': 'Language',
+        'hero.title': 'Transparent Pricing, No Surprises.',
+        'hero.subtitle': 'Understand exactly what you pay. Use our tools below to calculate fees and see live rates before you swap.',
+
+        'calculator.title': 'Calculate Your Swap',
+        'calculator.service': 'Service',
+        'calculator.tier': 'Pricing tier',
+        'calculator.loadingTiers': 'Loading tiers...',
+        'calculator.loadingServices': 'Loading services...',
+        'calculator.send': 'You Send',
+        'calculator.sendPlaceholder': 'Enter amount',
+        'calculator.sendCurrency': 'Send currency',
+        'calculator.receive': 'They Receive',
+        'calculator.receivePlaceholder': 'Or enter amount to receive',
+        'calculator.receiveCurrency': 'Receive currency',
+        'calculator.fee': 'VitalSwap Fee',
+        'calculator.principal': 'Amount Converted',
+        'calculator.total': 'Total Debited',
+        'calculator.rate': 'Live Exchange Rate',
+        'calculator.calculating': 'Calculating...',
+        'calculator.loadingRate': 'Loading real-time data...',
+        'calculator.swap': 'Swap currencies',
+        'calculator.start': 'Start a Swap',
+        'calculator.contactUs': '{rule} - contact us for pricing',
+        'calculator.billedSeparately': '{amount} ({rule} billed separately)',
+        'calculator.rateUnavailable': 'Rate unavailable',
+        'calculator.noRate': 'No exchange rate available for {from}/{to}',
+        'calculator.announce': 'You send {send}, fee {fee}, they receive {receive}',
+
+        'amount.invalid': '"{value}" is not a valid amount',
+        'amount.noDecimals': '{currency} amounts cannot have decimals',
+        'amount.tooManyDecimals': {
+            one: '{currency} amounts allow at most {count} decimal place',
+            other: '{currency} amounts allow at most {count} decimal places'
+        },
+        'amount.min': 'The minimum you can send is {amount}',
+        'amount.minService': 'The minimum you can send for {service} is {amount}',
+        'amount.max': 'The maximum you can send is {amount}',
+        'amount.maxService': 'The maximum you can send for {service} is {amount}',
+
+        'quote.lock': 'Lock This Quote',
+        'quote.requote': 'Requote',
+        'quote.cancel': 'Cancel',
+        'quote.locked': {
+            one: 'Quote locked - {count}s remaining',
+            other: 'Quote locked - {count}s remaining'
+        },
+        'quote.expired': 'Quote expired',
+        'quote.rateMoved': 'Rate moved {percent}% - quote expired',
+        'quote.needsAmount': 'Enter an amount for a priced service before locking a quote',
+
+        'share.print': 'Print receipt',
+        'share.copy': 'Copy link to this quote',
+        'share.copied': 'Link copied',
+        'share.prompt': 'Copy this link:',
+
+        'embed.enterAmount': 'Enter an amount',
+        'embed.pricedIndividually': '{service} is priced individually - contact us',
+        'embed.thisService': 'This service',
+
+        'badge.fallback': 'Offline fallback',
+        'badge.fallbackTitle': 'Live rate unavailable',
+        'badge.updated': 'Last updated {time}',
+        'badge.saved': 'Saved - {age}',
+        'badge.savedTitle': 'Saved from the last successful load. {updated}',
+        'badge.stale': 'Stale - {age}',
+        'badge.derived': 'Derived - {age}',
+        'badge.derivedTitle': 'Calculated through USD from live rates. {updated}',
+        'badge.live': 'Live - {age}',
+
+        'age.justNow': 'just now',
+        'age.minutes': '{count} min ago',
+        'age.hours': '{count} h ago',
+        'age.days': {
+            one: '{count} day ago',
+            other: '{count} days ago'
+        },
+
+        'fallback.message': 'API temporarily unavailable - showing {fees} and {rates}',
+        'fallback.savedFees': 'saved fees from {age}',
+        'fallback.defaultFees': 'built-in default fees',
+        'fallback.liveFees': 'live fees',
+        'fallback.savedRates': 'saved rates from {age}',
+        'fallback.defaultRates': 'built-in default rates',
+        'fallback.liveRates': 'live rates',
+        'fallback.partialRates': 'live rates for some currencies only',
+
+        'fees.title': 'Our Simple Fee Structure',
+        'fees.tiers': 'Pricing tiers',
+        'fees.search': 'Search all fees...',
+        'fees.searchLabel': 'Search fees',
+        'fees.sortLabel': 'Sort fees',
+        'fees.sortDefault': 'Default order',
+        'fees.sortService': 'Service A-Z',
+        'fees.sortFeeAsc': 'Lowest fee first',
+        'fees.sortFeeDesc': 'Highest fee first',
+        'fees.categoryLabel': 'Filter by category',
+        'fees.allCategories': 'All categories',
+        'fees.typeLabel': 'Filter by fee type',
+        'fees.allTypes': 'All fee types',
+        'fees.typePercentage': 'Percentage',
+        'fees.typeFlat': 'Flat',
+        'fees.typeFree': 'Free',
+        'fees.typeCustom': 'Custom',
+        'fees.loading': 'Loading real-time fee data...',
+        'fees.service': 'Service',
+        'fees.fee': 'Fee',
+        'fees.description': 'Description',
+        'fees.status': 'Status',
+        'fees.active': 'ACTIVE',
+        'fees.noMatch': 'No fees match your filters.',
+        'fees.unparsed': 'This fee could not be interpreted',
+        'fees.new': 'New',
+        'fees.changed': 'Changed',
+        'fees.was': 'Was {fee}',
+        'fees.skipped': {
+            one: 'Some fee data was skipped: the API response had {count} problem',
+            other: 'Some fee data was skipped: the API response had {count} problems'
+        },
+        'fees.export': 'Export {format}',
+        'fees.exportTitle': 'Download the {tier} fee schedule as {format}',
+        'fees.exportLoading': 'Fees are still loading - try the export again in a moment',
+
+        'rule.free': 'FREE',
+        'rule.per': '{amount} per {unit}',
+        'rule.min': 'min {amount}',
+        'rule.max': 'max {amount}',
+        'rule.upTo': '{rule} up to {amount}',
+        'rule.above': '{rule} above',
+        'rule.recurring': '{amount}/{period}',
+        'rule.custom': 'Custom',
+        'rule.unknown': 'N/A',
+        'unit.payment': 'payment',
+        'unit.transaction': 'transaction',
+        'unit.transfer': 'transfer',
+        'unit.card': 'card',
+        'unit.request': 'request',
+        'unit.withdrawal': 'withdrawal',
+        'period.week': 'week',
+        'period.month': 'month',
+        'period.year': 'year',
+
+        'receipt.title': 'Quote Receipt',
+        'receipt.reference': 'Reference',
+        'receipt.issued': 'Issued',
+        'receipt.tier': 'Tier',
+        'receipt.service': 'Service',
+        'receipt.standardFee': 'Standard fee',
+        'receipt.send': 'You send',
+        'receipt.fee': 'Fee',
+        'receipt.principal': 'Amount converted',
+        'receipt.rate': 'Exchange rate',
+        'receipt.receive': 'They receive',
+        'receipt.ratesAsOf': 'Rates as of',
+        'receipt.bundledRates': 'Bundled offline rates',
+        'receipt.quote': 'Quote',
+        'receipt.lockedUntil': 'Locked until {time}',
+        'receipt.indicative': 'Indicative - not locked, may change with the rate',
+        'receipt.note': 'The fee and the amount converted add up to the amount sent. Keep this reference when contacting support.',
+        'receipt.needsQuote': 'Enter an amount for a priced service to print a receipt',
+        'source.live': 'live',
+        'source.derived': 'derived through USD',
+        'source.cached': 'saved',
+        'source.fallback': 'offline fallback',
+
+        'advisor.title': 'Which Plan Is Cheapest for You?',
+        'advisor.subtitle': "Enter your expected monthly usage and we'll total the cost under every plan.",
+        'advisor.compareIn': 'Compare in',
+        'advisor.service': 'Service',
+        'advisor.perMonth': 'Per Month',
+        'advisor.averageAmount': 'Average Amount',
+        'advisor.subscriptions': 'Subscriptions',
+        'advisor.transactions': 'Transactions per month',
+        'advisor.empty': 'Enter your expected monthly usage to compare plans.',
+        'advisor.notOffered': 'Not offered: {services}',
+        'advisor.customPricing': 'Custom pricing: {services}',
+        'advisor.cheapest': 'CHEAPEST',
+        'advisor.plan': 'Plan',
+        'advisor.transactionFees': 'Transaction Fees',
+        'advisor.monthlyCharges': 'Monthly Charges',
+        'advisor.totalPerMonth': 'Total / Month',
+        'advisor.noSinglePlan': 'No single plan covers everything you entered.',
+        'advisor.neverPays': '{upgrade} does not pay for itself over {base} at this usage mix.',
+        'advisor.alwaysCheaper': '{upgrade} is cheaper than {base} at any volume.',
+        'advisor.cheaperBelow': {
+            one: '{upgrade} is cheaper than {base} below {count} transaction a month (you entered {entered}).',
+            other: '{upgrade} is cheaper than {base} below {count} transactions a month (you entered {entered}).'
+        },
+        'advisor.alreadyPays': {
+            one: '{upgrade} already pays for itself: it is cheaper than {base} from {count} transaction a month.',
+            other: '{upgrade} already pays for itself: it is cheaper than {base} from {count} transactions a month.'
+        },
+        'advisor.paysFrom': {
+            one: '{upgrade} pays for itself over {base} from {count} transaction a month (you entered {entered}).',
+            other: '{upgrade} pays for itself over {base} from {count} transactions a month (you entered {entered}).'
+        },
+
+        'chart.title': 'Live FX Rates & Trends',
+        'chart.subtitle': '{from}/{to} Exchange Rate',
+        'chart.dataset': '{from} to {to} Exchange Rate',
+        'chart.pair': 'Currency pair',
+        'chart.range': 'Time range',
+        'chart.noHistory': 'No rate history for this range yet - points are recorded each time live rates load.',
+        'chart.min': 'Min',
+        'chart.max': 'Max',
+        'chart.average': 'Average',
+        'chart.change': 'Change',
+        'chart.canvasLabel': '{from}/{to} exchange rate chart. The same rates are in the table below.',
+        'chart.showTable': 'Show the rates as a table',
+        'chart.date': 'Date',
+        'chart.rateColumn': 'Rate',
+
+        'cta.title': 'Ready to Swap with Confidence?',
+        'cta.body': 'Join thousands of users who trust VitalSwap for fast, secure, and transparent transactions.',
+        'cta.button': 'Create Your Free Account',
+        'footer.about': 'VitalSwap is a global financial technology platform that offers a convenient and secure way to transfer, and make payments locally and internationally.',
+        'footer.connect': 'Get Connected',
+        'footer.rights': '© 2025 VitalSwap. All rights reserved.',
+        'footer.terms': 'Terms of Service',
+        'footer.privacy': 'Privacy Policy'
+    },
+
+    fr: {
+        'page.title': 'Des frais clairs et transparents - VitalSwap',
+        'page.loading': '🔄 Chargement des données en temps réel...',
+        'nav.howItWorks': 'Comment ça marche',
+        'nav.rates': 'Nos taux',
+        'nav.blog': 'Blog',
+        'nav.faq': 'FAQ',
+        'nav.download': "Télécharger l'app",
+        'nav.language': 'Langue',
+        'hero.title': 'Des tarifs transparents, sans surprise.',
+        'hero.subtitle': 'Sachez exactement ce que vous payez. Utilisez nos outils pour calculer les frais et voir les taux en direct avant votre échange.',
+
+        'calculator.title': 'Calculez votre échange',
+        'calculator.service': 'Service',
+        'calculator.tier': 'Formule tarifaire',
+        'calculator.loadingTiers': 'Chargement des formules...',
+        'calculator.loadingServices': 'Chargement des services...',
+        'calculator.send': 'Vous envoyez',
+        'calculator.sendPlaceholder': 'Saisissez un montant',
+        'calculator.sendCurrency': "Devise d'envoi",
+        'calculator.receive': 'Ils reçoivent',
+        'calculator.receivePlaceholder': 'Ou saisissez le montant à recevoir',
+        'calculator.receiveCurrency': 'Devise de réception',
+        'calculator.fee': 'Frais VitalSwap',
+        'calculator.principal': 'Montant converti',
+        'calculator.total': 'Total débité',
+        'calculator.rate': 'Taux de change en direct',
+        'calculator.calculating': 'Calcul en cours...',
+        'calculator.loadingRate': 'Chargement des données en temps réel...',
+        'calculator.swap': 'Inverser les devises',
+        'calculator.start': 'Commencer un échange',
+        'calculator.contactUs': '{rule} - contactez-nous pour un tarif',
+        'calculator.billedSeparately': '{amount} ({rule} facturé à part)',
+        'calculator.rateUnavailable': 'Taux indisponible',
+        'calculator.noRate': 'Aucun taux de change disponible pour {from}/{to}',
+        'calculator.announce': 'Vous envoyez {send}, frais {fee}, ils reçoivent {receive}',
+
+        'amount.invalid': '« {value} » n’est pas un montant valide',
+        'amount.noDecimals': 'Les montants en {currency} ne peuvent pas avoir de décimales',
+        'amount.tooManyDecimals': {
+            one: 'Les montants en {currency} acceptent au plus {count} décimale',
+            other: 'Les montants en {currency} acceptent au plus {count} décimales'
+        },
+        'amount.min': 'Le montant minimum à envoyer est de {amount}',
+        'amount.minService': 'Le montant minimum à envoyer pour {service} est de {amount}',
+        'amount.max': 'Le montant maximum à envoyer est de {amount}',
+        'amount.maxService': 'Le montant maximum à envoyer pour {service} est de {amount}',
+
+        'quote.lock': 'Bloquer ce devis',
+        'quote.requote': 'Nouveau devis',
+        'quote.cancel': 'Annuler',
+        'quote.locked': {
+            one: 'Devis bloqué - {count} s restante',
+            other: 'Devis bloqué - {count} s restantes'
+        },
+        'quote.expired': 'Devis expiré',
+        'quote.rateMoved': 'Le taux a bougé de {percent} % - devis expiré',
+        'quote.needsAmount': 'Saisissez un montant pour un service tarifé avant de bloquer un devis',
+
+        'share.print': 'Imprimer le reçu',
+        'share.copy': 'Copier le lien vers ce devis',
+        'share.copied': 'Lien copié',
+        'share.prompt': 'Copiez ce lien :',
+
+        'embed.enterAmount': 'Saisissez un montant',
+        'embed.pricedIndividually': '{service} est tarifé au cas par cas - contactez-nous',
+        'embed.thisService': 'Ce service',
+
+        'badge.fallback': 'Hors ligne',
+        'badge.fallbackTitle': 'Taux en direct indisponible',
+        'badge.updated': 'Mis à jour le {time}',
+        'badge.saved': 'Enregistré - {age}',
+        'badge.savedTitle': 'Enregistré lors du dernier chargement réussi. {updated}',
+        'badge.stale': 'Ancien - {age}',
+        'badge.derived': 'Calculé - {age}',
+        'badge.derivedTitle': 'Calculé via l’USD à partir des taux en direct. {updated}',
+        'badge.live': 'En direct - {age}',
+
+        'age.justNow': 'à l’instant',
+        'age.minutes': 'il y a {count} min',
+        'age.hours': 'il y a {count} h',
+        'age.days': {
+            one: 'il y a {count} jour',
+            other: 'il y a {count} jours'
+        },
+
+        'fallback.message': 'API momentanément indisponible - affichage des {fees} et des {rates}',
+        'fallback.savedFees': 'frais enregistrés {age}',
+        'fallback.defaultFees': 'frais par défaut',
+        'fallback.liveFees': 'frais en direct',
+        'fallback.savedRates': 'taux enregistrés {age}',
+        'fallback.defaultRates': 'taux par défaut',
+        'fallback.liveRates': 'taux en direct',
+        'fallback.partialRates': 'taux en direct pour certaines devises seulement',
+
+        'fees.title': 'Notre grille tarifaire simple',
+        'fees.tiers': 'Formules tarifaires',
+        'fees.search': 'Rechercher dans les frais...',
+        'fees.searchLabel': 'Rechercher des frais',
+        'fees.sortLabel': 'Trier les frais',
+        'fees.sortDefault': 'Ordre par défaut',
+        'fees.sortService': 'Service de A à Z',
+        'fees.sortFeeAsc': 'Frais les plus bas d’abord',
+        'fees.sortFeeDesc': 'Frais les plus élevés d’abord',
+        'fees.categoryLabel': 'Filtrer par catégorie',
+        'fees.allCategories': 'Toutes les catégories',
+        'fees.typeLabel': 'Filtrer par type de frais',
+        'fees.allTypes': 'Tous les types de frais',
+        'fees.typePercentage': 'Pourcentage',
+        'fees.typeFlat': 'Fixe',
+        'fees.typeFree': 'Gratuit',
+        'fees.typeCustom': 'Sur mesure',
+        'fees.loading': 'Chargement des frais en temps réel...',
+        'fees.service': 'Service',
+        'fees.fee': 'Frais',
+        'fees.description': 'Description',
+        'fees.status': 'Statut',
+        'fees.active': 'ACTIF',
+        'fees.noMatch': 'Aucun frais ne correspond à vos filtres.',
+        'fees.unparsed': 'Ces frais n’ont pas pu être interprétés',
+        'fees.new': 'Nouveau',
+        'fees.changed': 'Modifié',
+        'fees.was': 'Avant : {fee}',
+        'fees.skipped': {
+            one: 'Certaines données de frais ont été ignorées : la réponse de l’API comportait {count} problème',
+            other: 'Certaines données de frais ont été ignorées : la réponse de l’API comportait {count} problèmes'
+        },
+        'fees.export': 'Exporter en {format}',
+        'fees.exportTitle': 'Télécharger la grille tarifaire {tier} en {format}',
+        'fees.exportLoading': 'Les frais sont encore en cours de chargement - réessayez l’export dans un instant',
+
+        'rule.free': 'GRATUIT',
+        'rule.per': '{amount} par {unit}',
+        'rule.min': 'min. {amount}',
+        'rule.max': 'max. {amount}',
+        'rule.upTo': '{rule} jusqu’à {amount}',
+        'rule.above': '{rule} au-delà',
+        'rule.recurring': '{amount}/{period}',
+        'rule.custom': 'Sur mesure',
+        'rule.unknown': 'N/D',
+        'unit.payment': 'paiement',
+        'unit.transaction': 'transaction',
+        'unit.transfer': 'virement',
+        'unit.card': 'carte',
+        'unit.request': 'demande',
+        'unit.withdrawal': 'retrait',
+        'period.week': 'semaine',
+        'period.month': 'mois',
+        'period.year': 'an',
+
+        'receipt.title': 'Reçu de devis',
+        'receipt.reference': 'Référence',
+        'receipt.issued': 'Émis le',
+        'receipt.tier': 'Formule',
+        'receipt.service': 'Service',
+        'receipt.standardFee': 'Frais standard',
+        'receipt.send': 'Vous envoyez',
+        'receipt.fee': 'Frais',
+        'receipt.principal': 'Montant converti',
+        'receipt.rate': 'Taux de change',
+        'receipt.receive': 'Ils reçoivent',
+        'receipt.ratesAsOf': 'Taux au',
+        'receipt.bundledRates': 'Taux hors ligne intégrés',
+        'receipt.quote': 'Devis',
+        'receipt.lockedUntil': 'Bloqué jusqu’à {time}',
+        'receipt.indicative': 'Indicatif - non bloqué, peut varier avec le taux',
+        'receipt.note': 'Les frais et le montant converti font ensemble le montant envoyé. Conservez cette référence pour contacter le support.',
+        'receipt.needsQuote': 'Saisissez un montant pour un service tarifé pour imprimer un reçu',
+        'source.live': 'en direct',
+        'source.derived': 'calculé via l’USD',
+        'source.cached': 'enregistré',
+        'source.fallback': 'hors ligne',
+
+        'advisor.title': 'Quelle formule vous coûte le moins ?',
+        'advisor.subtitle': 'Indiquez votre utilisation mensuelle prévue et nous calculons le coût total pour chaque formule.',
+        'advisor.compareIn': 'Comparer en',
+        'advisor.service': 'Service',
+        'advisor.perMonth': 'Par mois',
+        'advisor.averageAmount': 'Montant moyen',
+        'advisor.subscriptions': 'Abonnements',
+        'advisor.transactions': 'Transactions par mois',
+        'advisor.empty': 'Indiquez votre utilisation mensuelle prévue pour comparer les formules.',
+        'advisor.notOffered': 'Non proposé : {services}',
+        'advisor.customPricing': 'Tarif sur mesure : {services}',
+        'advisor.cheapest': 'LE MOINS CHER',
+        'advisor.plan': 'Formule',
+        'advisor.transactionFees': 'Frais de transaction',
+        'advisor.monthlyCharges': 'Frais mensuels',
+        'advisor.totalPerMonth': 'Total / mois',
+        'advisor.noSinglePlan': 'Aucune formule ne couvre tout ce que vous avez saisi.',
+        'advisor.neverPays': '{upgrade} n’est pas rentable par rapport à {base} avec cette utilisation.',
+        'advisor.alwaysCheaper': '{upgrade} est moins cher que {base} quel que soit le volume.',
+        'advisor.cheaperBelow': {
+            one: '{upgrade} est moins cher que {base} en dessous de {count} transaction par mois (vous en avez saisi {entered}).',
+            other: '{upgrade} est moins cher que {base} en dessous de {count} transactions par mois (vous en avez saisi {entered}).'
+        },
+        'advisor.alreadyPays': {
+            one: '{upgrade} est déjà rentable : moins cher que {base} dès {count} transaction par mois.',
+            other: '{upgrade} est déjà rentable : moins cher que {base} dès {count} transactions par mois.'
+        },
+        'advisor.paysFrom': {
+            one: '{upgrade} devient rentable par rapport à {base} dès {count} transaction par mois (vous en avez saisi {entered}).',
+            other: '{upgrade} devient rentable par rapport à {base} dès {count} transactions par mois (vous en avez saisi {entered}).'
+        },
+
+        'chart.title': 'Taux de change en direct et tendances',
+        'chart.subtitle': 'Taux de change {from}/{to}',
+        'chart.dataset': 'Taux de change {from} vers {to}',
+        'chart.pair': 'Paire de devises',
+        'chart.range': 'Période',
+        'chart.noHistory': 'Pas encore d’historique pour cette période - un point est enregistré à chaque chargement des taux en direct.',
+        'chart.min': 'Min.',
+        'chart.max': 'Max.',
+        'chart.average': 'Moyenne',
+        'chart.change': 'Variation',
+        'chart.canvasLabel': 'Graphique du taux de change {from}/{to}. Les mêmes taux figurent dans le tableau ci-dessous.',
+        'chart.showTable': 'Afficher les taux sous forme de tableau',
+        'chart.date': 'Date',
+        'chart.rateColumn': 'Taux',
+
+        'cta.title': 'Prêt à échanger en toute confiance ?',
+        'cta.body': 'Rejoignez les milliers d’utilisateurs qui font confiance à VitalSwap pour des transactions rapides, sûres et transparentes.',
+        'cta.button': 'Créer votre compte gratuit',
+        'footer.about': 'VitalSwap est une plateforme de technologie financière mondiale qui offre un moyen pratique et sûr d’envoyer de l’argent et d’effectuer des paiements, localement comme à l’international.',
+        'footer.connect': 'Restons en contact',
+        'footer.rights': '© 2025 VitalSwap. Tous droits réservés.',
+        'footer.terms': 'Conditions d’utilisation',
+        'footer.privacy': 'Politique de confidentialité'
+    },
+
+    pcm: {
+        'page.title': 'Clear Clear Fees - VitalSwap',
+        'page.loading': '🔄 We dey load live data...',
+        'nav.howItWorks': 'How E Dey Work',
+        'nav.rates': 'Our Rates',
+        'nav.blog': 'Blog',
+        'nav.faq': 'Questions',
+        'nav.download': 'Download App',
+        'nav.language': 'Language',
+        'hero.title': 'Clear Price, No Wahala.',
+        'hero.subtitle': 'Know exactly wetin you go pay. Use our tools for down to calculate fees and see live rates before you swap.',
+
+        'calculator.title': 'Calculate Your Swap',
+        'calculator.service': 'Service',
+        'calculator.tier': 'Price plan',
+        'calculator.loadingTiers': 'We dey load plans...',
+        'calculator.loadingServices': 'We dey load services...',
+        'calculator.send': 'You Go Send',
+        'calculator.sendPlaceholder': 'Put amount',
+        'calculator.sendCurrency': 'Currency wey you dey send',
+        'calculator.receive': 'Dem Go Receive',
+        'calculator.receivePlaceholder': 'Or put amount wey dem go receive',
+        'calculator.receiveCurrency': 'Currency wey dem go receive',
+        'calculator.fee': 'VitalSwap Fee',
+        'calculator.principal': 'Amount Wey We Change',
+        'calculator.total': 'Total Wey We Go Collect',
+        'calculator.rate': 'Live Exchange Rate',
+        'calculator.calculating': 'We dey calculate...',
+        'calculator.loadingRate': 'We dey load live data...',
+        'calculator.swap': 'Switch currencies',
+        'calculator.start': 'Start Swap',
+        'calculator.contactUs': '{rule} - call us for the price',
+        'calculator.billedSeparately': '{amount} ({rule} na separate bill)',
+        'calculator.rateUnavailable': 'Rate no dey',
+        'calculator.noRate': 'Exchange rate no dey for {from}/{to}',
+        'calculator.announce': 'You go send {send}, fee na {fee}, dem go receive {receive}',
+
+        'amount.invalid': '"{value}" no be correct amount',
+        'amount.noDecimals': '{currency} amount no fit get decimal',
+        'amount.tooManyDecimals': {
+            one: '{currency} amount fit get only {count} decimal place',
+            other: '{currency} amount fit get only {count} decimal places'
+        },
+        'amount.min': 'The smallest amount wey you fit send na {amount}',
+        'amount.minService': 'The smallest amount wey you fit send for {service} na {amount}',
+        'amount.max': 'The biggest amount wey you fit send na {amount}',
+        'amount.maxService': 'The biggest amount wey you fit send for {service} na {amount}',
+
+        'quote.lock': 'Lock This Quote',
+        'quote.requote': 'New Quote',
+        'quote.cancel': 'Cancel',
+        'quote.locked': {
+            one: 'Quote don lock - {count}s remain',
+            other: 'Quote don lock - {count}s remain'
+        },
+        'quote.expired': 'Quote don expire',
+        'quote.rateMoved': 'Rate don move {percent}% - quote don expire',
+        'quote.needsAmount': 'Put amount for service wey get price before you lock quote',
+
+        'share.print': 'Print receipt',
+        'share.copy': 'Copy link for this quote',
+        'share.copied': 'Link don copy',
+        'share.prompt': 'Copy this link:',
+
+        'embed.enterAmount': 'Put amount',
+        'embed.pricedIndividually': '{service} price dey depend on you - call us',
+        'embed.thisService': 'This service',
+
+        'badge.fallback': 'Offline rate',
+        'badge.fallbackTitle': 'Live rate no dey',
+        'badge.updated': 'Last update {time}',
+        'badge.saved': 'Saved - {age}',
+        'badge.savedTitle': 'We save am from the last time e load well. {updated}',
+        'badge.stale': 'Old - {age}',
+        'badge.derived': 'Calculated - {age}',
+        'badge.derivedTitle': 'We calculate am through USD from live rates. {updated}',
+        'badge.live': 'Live - {age}',
+
+        'age.justNow': 'just now',
+        'age.minutes': '{count} min ago',
+        'age.hours': '{count} hour ago',
+        'age.days': {
+            one: '{count} day ago',
+            other: '{count} days ago'
+        },
+
+        'fallback.message': 'API no dey work now - we dey show {fees} and {rates}',
+        'fallback.savedFees': 'fees wey we save {age}',
+        'fallback.defaultFees': 'default fees',
+        'fallback.liveFees': 'live fees',
+        'fallback.savedRates': 'rates wey we save {age}',
+        'fallback.defaultRates': 'default rates',
+        'fallback.liveRates': 'live rates',
+        'fallback.partialRates': 'live rates for only some currency',
+
+        'fees.title': 'Our Simple Fees',
+        'fees.tiers': 'Price plans',
+        'fees.search': 'Search all fees...',
+        'fees.searchLabel': 'Search fees',
+        'fees.sortLabel': 'Arrange fees',
+        'fees.sortDefault': 'Normal order',
+        'fees.sortService': 'Service A-Z',
+        'fees.sortFeeAsc': 'Cheapest fee first',
+        'fees.sortFeeDesc': 'Costliest fee first',
+        'fees.categoryLabel': 'Filter by category',
+        'fees.allCategories': 'All categories',
+        'fees.typeLabel': 'Filter by fee type',
+        'fees.allTypes': 'All fee types',
+        'fees.typePercentage': 'Percentage',
+        'fees.typeFlat': 'Fixed',
+        'fees.typeFree': 'Free',
+        'fees.typeCustom': 'Custom',
+        'fees.loading': 'We dey load live fees...',
+        'fees.service': 'Service',
+        'fees.fee': 'Fee',
+        'fees.description': 'Wetin e be',
+        'fees.status': 'Status',
+        'fees.active': 'ACTIVE',
+        'fees.noMatch': 'No fee match wetin you filter.',
+        'fees.unparsed': 'We no fit understand this fee',
+        'fees.new': 'New',
+        'fees.changed': 'E don change',
+        'fees.was': 'Before na {fee}',
+        'fees.skipped': {
+            one: 'We skip some fee data: the API answer get {count} problem',
+            other: 'We skip some fee data: the API answer get {count} problems'
+        },
+        'fees.export': 'Export {format}',
+        'fees.exportTitle': 'Download {tier} fees as {format}',
+        'fees.exportLoading': 'Fees still dey load - try the export again small time',
+
+        'rule.free': 'FREE',
+        'rule.per': '{amount} for each {unit}',
+        'rule.min': 'min {amount}',
+        'rule.max': 'max {amount}',
+        'rule.upTo': '{rule} reach {amount}',
+        'rule.above': '{rule} pass am',
+        'rule.recurring': '{amount}/{period}',
+        'rule.custom': 'Custom',
+        'rule.unknown': 'N/A',
+        'unit.payment': 'payment',
+        'unit.transaction': 'transaction',
+        'unit.transfer': 'transfer',
+        'unit.card': 'card',
+        'unit.request': 'request',
+        'unit.withdrawal': 'withdrawal',
+        'period.week': 'week',
+        'period.month': 'month',
+        'period.year': 'year',
+
+        'receipt.title': 'Quote Receipt',
+        'receipt.reference': 'Reference',
+        'receipt.issued': 'Date',
+        'receipt.tier': 'Plan',
+        'receipt.service': 'Service',
+        'receipt.standardFee': 'Normal fee',
+        'receipt.send': 'You go send',
+        'receipt.fee': 'Fee',
+        'receipt.principal': 'Amount wey we change',
+        'receipt.rate': 'Exchange rate',
+        'receipt.receive': 'Dem go receive',
+        'receipt.ratesAsOf': 'Rates as of',
+        'receipt.bundledRates': 'Offline default rates',
+        'receipt.quote': 'Quote',
+        'receipt.lockedUntil': 'E lock reach {time}',
+        'receipt.indicative': 'Just estimate - e no lock, e fit change with the rate',
+        'receipt.note': 'The fee plus the amount wey we change na the amount wey you send. Keep this reference if you wan call support.',
+        'receipt.needsQuote': 'Put amount for service wey get price before you print receipt',
+        'source.live': 'live',
+        'source.derived': 'calculated through USD',
+        'source.cached': 'saved',
+        'source.fallback': 'offline',
+
+        'advisor.title': 'Which Plan Go Cost You Pass Small?',
+        'advisor.subtitle': 'Put how you go use am every month and we go add the cost for every plan.',
+        'advisor.compareIn': 'Compare for',
+        'advisor.service': 'Service',
+        'advisor.perMonth': 'Every Month',
+        'advisor.averageAmount': 'Average Amount',
+        'advisor.subscriptions': 'Subscriptions',
+        'advisor.transactions': 'Transactions every month',
+        'advisor.empty': 'Put how you go use am every month to compare plans.',
+        'advisor.notOffered': 'E no dey: {services}',
+        'advisor.customPricing': 'Custom price: {services}',
+        'advisor.cheapest': 'CHEAPEST',
+        'advisor.plan': 'Plan',
+        'advisor.transactionFees': 'Transaction Fees',
+        'advisor.monthlyCharges': 'Monthly Charges',
+        'advisor.totalPerMonth': 'Total / Month',
+        'advisor.noSinglePlan': 'No one plan cover everything wey you put.',
+        'advisor.neverPays': '{upgrade} no go pay you pass {base} for this kind usage.',
+        'advisor.alwaysCheaper': '{upgrade} cheap pass {base} no matter how much you use.',
+        'advisor.cheaperBelow': {
+            one: '{upgrade} cheap pass {base} if you do less than {count} transaction every month (you put {entered}).',
+            other: '{upgrade} cheap pass {base} if you do less than {count} transactions every month (you put {entered}).'
+        },
+        'advisor.alreadyPays': {
+            one: '{upgrade} don already pay for itself: e cheap pass {base} from {count} transaction every month.',
+            other: '{upgrade} don already pay for itself: e cheap pass {base} from {count} transactions every month.'
+        },
+        'advisor.paysFrom': {
+            one: '{upgrade} go pay for itself pass {base} from {count} transaction every month (you put {entered}).',
+            other: '{upgrade} go pay for itself pass {base} from {count} transactions every month (you put {entered}).'
+        },
+
+        'chart.title': 'Live FX Rates & How Dem Dey Move',
+        'chart.subtitle': '{from}/{to} Exchange Rate',
+        'chart.dataset': '{from} to {to} Exchange Rate',
+        'chart.pair': 'Currency pair',
+        'chart.range': 'Time',
+        'chart.noHistory': 'No rate history for this time yet - we dey record am anytime live rates load.',
+        'chart.min': 'Lowest',
+        'chart.max': 'Highest',
+        'chart.average': 'Average',
+        'chart.change': 'Change',
+        'chart.canvasLabel': '{from}/{to} exchange rate chart. The same rates dey for the table under am.',
+        'chart.showTable': 'Show the rates for table',
+        'chart.date': 'Date',
+        'chart.rateColumn': 'Rate',
+
+        'cta.title': 'You Ready to Swap Without Fear?',
+        'cta.body': 'Join plenty people wey trust VitalSwap for fast, safe and clear transactions.',
+        'cta.button': 'Open Your Free Account',
+        'footer.about': 'VitalSwap na global fintech platform wey make am easy and safe to send money and pay for things, for inside Naija and abroad.',
+        'footer.connect': 'Reach Us',
+        'footer.rights': '© 2025 VitalSwap. All rights reserved.',
+        'footer.terms': 'Terms of Service',
+        'footer.privacy': 'Privacy Policy'
+    }
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+/**
+ * VitalSwap Currencies and Exchange Rates
+ * Description: The currency registry, its lookups and the cross-rate table
+ *
+ * `currencies` is a registry array like `registry` below (App.config.currencies). A rate table is
+ * { from: { to: rate } }, in units of `to` per unit of `from`.
+ */
+
+/*
+ * Currency registry. Adding an entry here is all it takes to offer a currency.
+ *   precision    - digits in the minor unit (2 for cents, 0 for currencies without one)
+ *   fallbackRate - bundled units per 1 USD, used until live rates arrive
+ *   limits       - smallest and largest amount that can be sent, in major units
+ */
+export const registry = [
+    { code: 'USD', name: 'US Dollar', symbol: '$', precision: 2, flag: '🇺🇸', fallbackRate: 1, limits: { min: 1, max: 50000 } },
+    { code: 'EUR', name: 'Euro', symbol: '€', precision: 2, flag: '🇪🇺', fallbackRate: 0.9215, limits: { min: 1, max: 45000 } },
+    { code: 'GBP', name: 'British Pound', symbol: '£', precision: 2, flag: '🇬🇧', fallbackRate: 0.7950, limits: { min: 1, max: 40000 } },
+    { code: 'NGN', name: 'Nigerian Naira', symbol: '₦', precision: 2, flag: '🇳🇬', fallbackRate: 1480, limits: { min: 1000, max: 75000000 } }
+];
+
+// Look up a currency in the registry, or null if we do not support it
+export function findCurrency(currencies, code) {
+    return currencies.find(currency => currency.code === code) || null;
+}
+
+// Digits in a currency's minor unit; unknown codes are treated as cents
+export function getPrecision(currencies, code) {
+    return findCurrency(currencies, code)?.precision ?? 2;
+}
+
+// Every ordered pair of distinct currencies in the registry
+export function getCurrencyPairs(currencies) {
+    const codes = currencies.map(currency => currency.code);
+    return codes.flatMap(from => codes
+        .filter(to => to !== from)
+        .map(to => [from, to]));
+}
+
+// Build the cross-rate matrix from each currency's fallback rate against USD
+export function buildRateTable(currencies) {
+    const rates = {};
+    currencies.forEach(from => {
+        rates[from.code] = {};
+        currencies.forEach(to => {
+            rates[from.code][to.code] = from.code === to.code ? 1 : to.fallbackRate / from.fallbackRate;
+        });
+    });
+    return rates;
+}
+
+// Get the rate for a pair, throwing for pairs we do not support rather than guessing
+export function getRate(rates, from, to) {
+    const rate = rates[from]?.[to];
+    if (!rate) {
+        throw new Error(`No exchange rate available for ${from || '?'}/${to || '?'}`);
+    }
+    return rate;
+}
+
+// Source table marking every rate as the bundled fallback; identity rates are always exact
+export function fallbackSources(rates) {
+    const sources = {};
+    Object.keys(rates).forEach(from => {
+        sources[from] = {};
+        Object.keys(rates[from]).forEach(to => {
+            sources[from][to] = from === to ? 'live' : 'fallback';
+        });
+    });
+    return sources;
+}
+
+/*
+ * Merge fetched quotes ([{ from, to, rate }]) into a copy of a rate table.
+ * options:
+ *   sources   - the tags of the table passed in (default: all fallback)
+ *   times     - when each rate in it was fetched, { from: { to: timestamp } } (default: none)
+ *   fetchedAt - when these quotes were fetched
+ * Returns { rates, sources, times }, with each rate in `sources` tagged as:
+ *   live     - returned by the API for that exact pair
+ *   derived  - inverted from a live quote, or triangulated through USD
+ *   fallback - no live data, still the rate from the table passed in
+ * Pairs the quotes reach are stamped with `fetchedAt`; the rest keep their rate, tag and time.
+ */
+export function applyQuotes(rates, quotes, currencies, options = {}) {
+    const { sources: previousSources = fallbackSources(rates), times: previousTimes = {}, fetchedAt = null } = options;
+    const merged = JSON.parse(JSON.stringify(rates));
+    const sources = JSON.parse(JSON.stringify(previousSources));
+    const times = JSON.parse(JSON.stringify(previousTimes));
+    const live = {};
+    quotes.forEach(({ from, to, rate }) => {
+        live[from] = live[from] || {};
+        live[from][to] = rate;
+    });
+
+    // A leg is usable if quoted directly or as the inverse of a quote
+    const leg = (from, to) => {
+        if (from === to) return 1;
+        if (live[from]?.[to]) return live[from][to];
+        if (live[to]?.[from]) return 1 / live[to][from];
+        return null;
+    };
+
+    // Set a pair's rate and tag, stamped with this batch's fetch time
+    const stamp = (from, to, rate, source) => {
+        merged[from][to] = rate;
+        sources[from][to] = source;
+        times[from] = times[from] || {};
+        times[from][to] = fetchedAt;
+    };
+
+    getCurrencyPairs(currencies).forEach(([from, to]) => {
+        if (live[from]?.[to]) {
+            stamp(from, to, live[from][to], 'live');
+            return;
+        }
+
+        const inverse = leg(from, to);
+        const toUsd = leg(from, 'USD');
+        const fromUsd = leg('USD', to);
+        const derived = inverse || (toUsd && fromUsd ? toUsd * fromUsd : null);
+
+        if (derived) {
+            stamp(from, to, derived, 'derived');
+        }
+    });
+
+    return { rates: merged, sources: sources, times: times };
+}
+
+// Check one exchange payload: { rate, problem }, with rate null and a problem message when unusable.
+// Rates further than `factor` from the reference rate are rejected as implausible
+export function validateExchangeRate(exchangeData, reference, factor) {
+    const invalid = (problem) => ({ rate: null, problem: problem });
+
+    if (!exchangeData || typeof exchangeData !== 'object') {
+        return invalid('Exchange payload is not an object');
+    }
+    if (exchangeData.rate === undefined) {
+        return invalid('Missing rate');
+    }
+
+    const rate = typeof exchangeData.rate === 'string' ? Number(exchangeData.rate) : exchangeData.rate;
+    if (typeof rate !== 'number' || !isFinite(rate) || rate <= 0) {
+        return invalid(`Rate is not a positive number: ${JSON.stringify(exchangeData.rate)}`);
+    }
+
+    if (reference && (rate > reference * factor || rate < reference / factor)) {
+        return invalid(`Rate ${rate} is outside the plausible band around ${reference}`);
+    }
+    return { rate: rate, problem: null };
+}
\ No newline at end of file
@@ -0,0 +1,196 @@
+/**
+ * VitalSwap Data Sources
+ * Description: Where the page gets its fees, rates, tiers and rate history, and how it loads them
+ *
+ * App talks to one data source object, so the network can be swapped for fixtures
+ * in tests or a local mock server. A data source has four methods, each resolving
+ * to the raw API payload and rejecting when it cannot be fetched:
+ *   fetchFees()                      -> { Customer: { category: [{ Service, Fee, Description }] }, Business: ... }
+ *   fetchExchangeRate(from, to)      -> { rate, ... }
+ *   fetchTiers()                     -> { tiers: [...] }, the tiers.json shape
+ *   fetchRateHistory(from, to, range) -> { rates: [{ timestamp, rate }] }, or null with no history source
+ * Data sources hand payloads over as they are; loadData validates them.
+ */
+
+import { getCurrencyPairs, validateExchangeRate } from './currencies.js';
+import { processFeesData } from './fees.js';
+
+// Data source backed by the VitalSwap HTTP APIs (App.config.apiEndpoints)
+export function createHttpDataSource({ endpoints, tierConfigUrl, fetch = (...args) => globalThis.fetch(...args) }) {
+    // Fetch a URL and parse its JSON body, rejecting with `failure` on a bad status
+    const getJson = async (url, failure) => {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(failure);
+        }
+        return response.json();
+    };
+
+    return {
+        fetchFees() {
+            return getJson(endpoints.fees, 'Fees API response not OK');
+        },
+
+        fetchExchangeRate(from, to) {
+            return getJson(`${endpoints.exchange}?from=${from}&to=${to}`, `Exchange API response not OK for ${from}/${to}`);
+        },
+
+        // Tries the tier endpoint, then the tier configuration file; the first with a tiers array wins
+        async fetchTiers() {
+            const sources = [endpoints.tiers, tierConfigUrl].filter(Boolean);
+            let lastError = new Error('No tier configuration source');
+
+            for (const url of sources) {
+                try {
+                    const tierData = await getJson(url, `Tier configuration response not OK from ${url}`);
+                    if (Array.isArray(tierData?.tiers)) return tierData;
+                    lastError = new Error(`Tier configuration from ${url} has no tiers`);
+                } catch (error) {
+                    lastError = error;
+                }
+            }
+            throw lastError;
+        },
+
+        async fetchRateHistory(from, to, range) {
+            if (!endpoints.history) return null;
+            return getJson(`${endpoints.history}?from=${from}&to=${to}&range=${range}`, 'History API response not OK');
+        }
+    };
+}
+
+/*
+ * Data source serving fixed payloads, for tests and offline demos:
+ *   { fees, exchange: { 'USD/NGN': payload }, tiers, history: { 'USD/NGN': payload } }
+ * Anything missing rejects the way a failed request would.
+ */
+export function createFixtureDataSource(fixtures) {
+    const serve = (payload, failure) => payload === undefined
+        ? Promise.reject(new Error(failure))
+        : Promise.resolve(JSON.parse(JSON.stringify(payload)));
+
+    return {
+        fetchFees() {
+            return serve(fixtures.fees, 'No fees fixture');
+        },
+
+        fetchExchangeRate(from, to) {
+            return serve(fixtures.exchange?.[`${from}/${to}`], `No exchange fixture for ${from}/${to}`);
+        },
+
+        fetchTiers() {
+            return serve(fixtures.tiers, 'No tiers fixture');
+        },
+
+        fetchRateHistory(from, to) {
+            return fixtures.history ? serve(fixtures.history[`${from}/${to}`] ?? null) : Promise.resolve(null);
+        }
+    };
+}
+
+/*
+ * Loading
+ *
+ * Fees and rates load independently, so one API failing leaves the other's data live,
+ * and each falls back on its own: to its last-known-good snapshot ({ data, fetchedAt },
+ * as App saves them), then for fees to the bundled schedule.
+ */
+
+// Whether a processed fee schedule has anything to show
+function hasFees(schedule) {
+    return schedule.Customer.length > 0 || schedule.Business.length > 0;
+}
+
+// Fetch and validate every currency pair in parallel: { quotes: [{ from, to, rate }], problems }.
+// Rates further than `sanityFactor` from `referenceRates` are rejected as implausible
+export async function loadRates(dataSource, { currencies, referenceRates, sanityFactor }) {
+    const problems = [];
+    const results = await Promise.allSettled(getCurrencyPairs(currencies).map(async ([from, to]) => {
+        const exchangeData = await dataSource.fetchExchangeRate(from, to);
+        const { rate, problem } = validateExchangeRate(exchangeData, referenceRates?.[from]?.[to], sanityFactor);
+        if (problem) {
+            problems.push({ path: `${from}/${to}`, message: problem });
+            throw new Error(`Exchange API returned no usable rate for ${from}/${to}`);
+        }
+        return { from: from, to: to, rate: rate };
+    }));
+
+    return {
+        quotes: results.filter(result => result.status === 'fulfilled').map(result => result.value),
+        problems: problems
+    };
+}
+
+// The fees to show without the API: the snapshot if it has usable fees, otherwise the bundled payload
+export function chooseFallbackFees(currencies, snapshot, bundled) {
+    if (snapshot) {
+        const cached = processFeesData(currencies, snapshot.data);
+        if (hasFees(cached.schedule)) {
+            return { source: 'cached', fetchedAt: snapshot.fetchedAt, payload: snapshot.data, ...cached };
+        }
+    }
+    return { source: 'fallback', fetchedAt: null, payload: bundled, ...processFeesData(currencies, bundled) };
+}
+
+// The quotes in a rates snapshot that still pass validation
+export function cachedQuotes(snapshot, { referenceRates, sanityFactor }) {
+    if (!Array.isArray(snapshot?.data)) return [];
+    return snapshot.data.filter(({ from, to, rate }) =>
+        validateExchangeRate({ rate: rate }, referenceRates?.[from]?.[to], sanityFactor).rate !== null);
+}
+
+/*
+ * Load fees and rates from a data source and work out what the page should show.
+ * options:
+ *   currencies, referenceRates, sanityFactor - as for loadRates
+ *   snapshots    - the last-known-good { fees, rates } snapshots, each null if there is none
+ *   fallbackFees - the bundled fee payload
+ *   keep         - { fees, rates }, true where the page already shows data a failed load should leave alone
+ * Resolves (it does not reject) to:
+ *   fees        - { source: 'api' | 'cached' | 'fallback', fetchedAt, payload, schedule, problems }, or null to keep what is shown
+ *   rates       - { source: 'live' | 'cached', fetchedAt, quotes }, or null to keep what is shown;
+ *                 live as soon as any pair was quoted
+ *   feesLoaded, ratesLoaded - whether each came from the data source in full (every pair, for rates)
+ *   problems    - { exchange: [{ path, message }] } for pairs that failed validation
+ *   errors      - { fees, rates }, why each did not load, or null
+ */
+export async function loadData(dataSource, options) {
+    const { currencies, snapshots = {}, keep = {} } = options;
+    const [feeResult, rateResult] = await Promise.allSettled([
+        dataSource.fetchFees().then(payload => ({ payload: payload, ...processFeesData(currencies, payload) })),
+        loadRates(dataSource, options)
+    ]);
+    const quotes = rateResult.status === 'fulfilled' ? rateResult.value.quotes : [];
+
+    const result = {
+        fees: null,
+        rates: null,
+        feesLoaded: feeResult.status === 'fulfilled' && hasFees(feeResult.value.schedule),
+        ratesLoaded: quotes.length === getCurrencyPairs(currencies).length,
+        problems: { exchange: rateResult.status === 'fulfilled' ? rateResult.value.problems : [] },
+        errors: { fees: null, rates: null }
+    };
+
+    if (result.feesLoaded) {
+        result.fees = { source: 'api', fetchedAt: Date.now(), ...feeResult.value };
+    } else {
+        result.errors.fees = feeResult.reason || new Error('Fee payload has no usable fees');
+        if (!keep.fees) result.fees = chooseFallbackFees(currencies, snapshots.fees, options.fallbackFees);
+    }
+
+    if (quotes.length > 0) {
+        // A partial load is still shown; the pairs it missed keep their last rate
+        result.rates = { source: 'live', fetchedAt: Date.now(), quotes: quotes };
+        if (!result.ratesLoaded) {
+            const quoted = new Set(quotes.map(({ from, to }) => `${from}/${to}`));
+            const missed = getCurrencyPairs(currencies).map(pair => pair.join('/')).filter(pair => !quoted.has(pair));
+            result.errors.rates = new Error(`Exchange API returned no usable rate for ${missed.join(', ')}`);
+        }
+    } else {
+        result.errors.rates = rateResult.reason || new Error('Exchange API returned no usable rates');
+        const cached = keep.rates ? [] : cachedQuotes(snapshots.rates, options);
+        if (cached.length > 0) result.rates = { source: 'cached', fetchedAt: snapshots.rates.fetchedAt, quotes: cached };
+    }
+
+    return result;
+}
\ No newline at end of file
@@ -0,0 +1,384 @@
+/**
+ * VitalSwap Fee Rules
+ * Description: Fee payload validation, the fee rule engine and fee pricing
+ *
+ * Free-text fee strings from the API are parsed into typed rules:
+ *   { type: 'free' }
+ *   { type: 'percentage', percent }
+ *   { type: 'flat', amount, currency, unit }
+ *   { type: 'capped', percent, min, max }           min/max are { amount, currency } or null
+ *   { type: 'tiered', bands: [{ upTo, rule }] }     upTo is { amount, currency } or null for the last band
+ *   { type: 'recurring', amount, currency, period }
+ *   { type: 'negotiated' }
+ *   { type: 'unknown', raw }                        anything we could not interpret
+ *
+ * `currencies` is the registry from App.config.currencies; `pricing` is the
+ * { currencies, rates, rounding } context described in money.js.
+ */
+
+import { toMinor, fromMinor, convertMinor, multiplyMinor } from './money.js';
+
+// Escape text for use inside a regular expression
+export function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Parse a money amount such as "$10", "₦1,000", "USD 15" or "2.50 EUR"
+export function parseMoney(currencies, text) {
+    // Longest symbols first, so "CA$" wins over "$"
+    const symbols = currencies
+        .map(currency => currency.symbol)
+        .sort((a, b) => b.length - a.length)
+        .map(symbol => escapeRegExp(symbol))
+        .join('|');
+    const codes = currencies.map(currency => currency.code).join('|');
+    const number = '(\\d[\\d,]*(?:\\.\\d+)?)';
+    const patterns = [
+        new RegExp(`(${symbols})\\s?${number}`),
+        new RegExp(`\\b(${codes})\\s?${number}`, 'i'),
+        new RegExp(`${number}\\s?(${codes})\\b`, 'i')
+    ];
+
+    for (const [index, pattern] of patterns.entries()) {
+        const match = text.match(pattern);
+        if (!match) continue;
+
+        const [marker, digits] = index === 2 ? [match[2], match[1]] : [match[1], match[2]];
+        const bySymbol = currencies.find(entry => entry.symbol === marker);
+        const currency = bySymbol ? bySymbol.code : marker.toUpperCase();
+        return { amount: parseFloat(digits.replace(/,/g, '')), currency: currency, index: match.index, length: match[0].length };
+    }
+    return null;
+}
+
+// Parse a percentage such as "0.25%", ".5%" or "1.5 %"
+export function parsePercent(text) {
+    const match = text.match(/(\d*\.?\d+)\s?%/);
+    return match ? parseFloat(match[1]) : null;
+}
+
+// Parse a single free-text fee string into a typed rule
+export function parseFeeRule(currencies, feeText) {
+    const raw = typeof feeText === 'string' ? feeText.trim() : '';
+    const text = raw.toLowerCase();
+    const unknown = { type: 'unknown', raw: raw };
+
+    if (!text || text === 'n/a') return unknown;
+
+    const hasNumber = /\d/.test(text);
+
+    if (/^(free|no fee|none|0%?)$/.test(text) || (/\bfree\b/.test(text) && !hasNumber)) {
+        return { type: 'free' };
+    }
+
+    if (/custom|negotia|contact|volume[- ]based|on request|varies/.test(text) && !hasNumber) {
+        return { type: 'negotiated' };
+    }
+
+    // Tiered bands, e.g. "1% up to $1,000; 0.5% above $1,000"
+    const segments = raw.split(/\s*;\s*|\s*\|\s*|,\s+/).filter(Boolean);
+    const tiered = segments.length > 1 ? parseTieredFee(currencies, segments) : null;
+    if (tiered) return tiered;
+
+    const percent = parsePercent(text);
+    const money = parseMoney(currencies, raw);
+
+    // Recurring subscription, e.g. "$99/month" or "$1,000 per year"
+    const periodMatch = text.match(/(?:\/|\bper\s+|\ba\s+)(month|mo|year|yr|annum|week)\b|\b(monthly|annually|yearly|weekly)\b/);
+    if (periodMatch && money && percent === null) {
+        const period = { mo: 'month', monthly: 'month', yr: 'year', annum: 'year', annually: 'year', yearly: 'year', weekly: 'week' };
+        const unit = periodMatch[1] || periodMatch[2];
+        return { type: 'recurring', amount: money.amount, currency: money.currency, period: period[unit] || unit };
+    }
+
+    if (percent !== null) {
+        const minKeyword = /\b(?:min(?:imum)?|at least|not less than)\b/i;
+        const maxKeyword = /\b(?:max(?:imum)?|capped at|cap(?:ped)?|up to|not more than)\b/i;
+        const min = parseBound(currencies, raw, minKeyword);
+        const max = parseBound(currencies, raw, maxKeyword);
+
+        // A bound with no amount ("Up to 2%", "Max 1%") says the fee varies, not what it is
+        if ((minKeyword.test(raw) && !min) || (maxKeyword.test(raw) && !max)) return unknown;
+        if (min || max) {
+            return { type: 'capped', percent: percent, min: min, max: max };
+        }
+        // A percentage with a stray amount we cannot place is ambiguous
+        return money ? unknown : { type: 'percentage', percent: percent };
+    }
+
+    // A flat fee is the amount alone, optionally "per" a known unit; anything else around it
+    // ("Up to $5", "₦25 - ₦50", "then $1") changes its meaning, so it is not guessed at
+    if (money) {
+        const rest = raw.slice(money.index + money.length);
+        const unitMatch = rest.match(/^\s*(?:per\s+(payment|transaction|transfer|card|request|withdrawal))?$/i);
+        if (money.index === 0 && unitMatch) {
+            return { type: 'flat', amount: money.amount, currency: money.currency, unit: unitMatch[1]?.toLowerCase() || null };
+        }
+    }
+
+    return unknown;
+}
+
+// Find the money amount that follows a keyword such as "capped at" or "min"
+function parseBound(currencies, text, keyword) {
+    const match = text.match(keyword);
+    if (!match) return null;
+
+    const money = parseMoney(currencies, text.slice(match.index + match[0].length));
+    return money ? { amount: money.amount, currency: money.currency } : null;
+}
+
+// Parse tiered band segments into a tiered rule, or null if they do not form bands
+function parseTieredFee(currencies, segments) {
+    const bands = [];
+
+    for (const segment of segments) {
+        // Bands are written either "1% up to $1,000" or "$0 - $1,000: 1%"
+        const colon = segment.search(/[:=]/);
+        const condition = colon >= 0 ? segment.slice(0, colon) : segment;
+        const ruleText = colon >= 0
+            ? segment.slice(colon + 1)
+            : segment.replace(/\b(?:up to|below|under|less than|above|over|more than|thereafter|beyond)\b.*$/i, '');
+        const rule = parseFeeRule(currencies, ruleText);
+
+        const lower = condition.toLowerCase();
+        const upperBound = lower.match(/\b(?:up to|below|under|less than)\b|<=?|\s[-–]\s?(?=[^\d]*\d)/);
+        const lowerBound = lower.match(/\b(?:above|over|more than|thereafter|beyond)\b|>=?/);
+
+        if (upperBound) {
+            const limit = parseMoney(currencies, condition.slice(upperBound.index));
+            if (!limit) return null;
+            bands.push({ upTo: { amount: limit.amount, currency: limit.currency }, rule: rule });
+        } else if (lowerBound) {
+            bands.push({ upTo: null, rule: rule });
+        } else {
+            return null;
+        }
+
+        const last = bands[bands.length - 1];
+        if (['unknown', 'tiered'].includes(last.rule.type)) return null;
+    }
+
+    // Only the final band may be open-ended
+    if (bands.slice(0, -1).some(band => band.upTo === null)) return null;
+
+    return { type: 'tiered', bands: bands };
+}
+
+// Scale a parsed fee rule by a discount factor, e.g. 0.7 for 30% off
+export function applyDiscountToFee(rule, factor) {
+    const scaleMoney = (money) => money && { ...money, amount: money.amount * factor };
+
+    switch (rule.type) {
+        case 'percentage':
+            return { ...rule, percent: rule.percent * factor };
+        case 'flat':
+        case 'recurring':
+            return { ...rule, amount: rule.amount * factor };
+        case 'capped':
+            return {
+                ...rule,
+                percent: rule.percent * factor,
+                min: scaleMoney(rule.min),
+                max: scaleMoney(rule.max)
+            };
+        case 'tiered':
+            return {
+                ...rule,
+                bands: rule.bands.map(band => ({ ...band, rule: applyDiscountToFee(band.rule, factor) }))
+            };
+        default:
+            // Free, negotiated and unparsed fees have nothing to discount
+            return rule;
+    }
+}
+
+// Classify a fee rule for the fee type filter: percentage, flat, free or custom
+export function classifyFee(rule) {
+    switch (rule.type) {
+        case 'free':
+            return 'free';
+        case 'percentage':
+        case 'capped':
+        case 'tiered':
+            return 'percentage';
+        case 'flat':
+        case 'recurring':
+            return 'flat';
+        default:
+            return 'custom';
+    }
+}
+
+/*
+ * Work out the fee charged on an amount in the given currency.
+ * Returns { amount, minor, currency } in that currency, plus `recurring` for subscriptions
+ * which are billed separately, or null when the fee cannot be priced
+ * (negotiated, unparsed, or needing a rate we do not have).
+ * Percentage fees are rounded with `rounding.fee`; fixed amounts in another
+ * currency are converted with `rounding.conversion`.
+ */
+export function calculateFee(pricing, rule, amount, currency) {
+    const { rounding } = pricing;
+    const minor = toMinor(pricing, amount, currency);
+    const inCurrency = (money) => convertMinor(
+        pricing, toMinor(pricing, money.amount, money.currency), money.currency, currency, rounding.conversion
+    );
+    const percentOf = (percent) => multiplyMinor(minor, percent, rounding.fee, 100);
+    const result = (feeMinor, extra = {}) => feeMinor === null ? null : {
+        amount: fromMinor(pricing, feeMinor, currency),
+        minor: feeMinor,
+        currency: currency,
+        ...extra
+    };
+
+    switch (rule.type) {
+        case 'free':
+            return result(0);
+        case 'percentage':
+            return result(percentOf(rule.percent));
+        case 'flat':
+            return result(inCurrency(rule));
+        case 'capped': {
+            let fee = percentOf(rule.percent);
+            const min = rule.min && inCurrency(rule.min);
+            const max = rule.max && inCurrency(rule.max);
+            if ((rule.min && min === null) || (rule.max && max === null)) return null;
+            if (rule.min) fee = Math.max(fee, min);
+            if (rule.max) fee = Math.min(fee, max);
+            return result(fee);
+        }
+        case 'tiered': {
+            // The band the whole amount falls into sets the fee (not marginal bands)
+            const band = rule.bands.find(candidate => {
+                if (!candidate.upTo) return true;
+                const limit = inCurrency(candidate.upTo);
+                return limit !== null && minor <= limit;
+            });
+            return band ? calculateFee(pricing, band.rule, amount, currency) : null;
+        }
+        case 'recurring':
+            return result(0, { recurring: rule });
+        default:
+            return null;
+    }
+}
+
+/*
+ * Response validation
+ *
+ * Validators collect structured problems ({ path, message }) instead of throwing,
+ * so one bad category is dropped while the rest of the schedule is still used.
+ */
+
+// Validate the Customer/Business -> category -> [{ Service, Fee, Description }] fee payload
+export function validateFeesPayload(feesData) {
+    const problems = [];
+    const data = {};
+    const problem = (path, message) => problems.push({ path: path, message: message });
+
+    if (!feesData || typeof feesData !== 'object' || Array.isArray(feesData)) {
+        problem('$', 'Fee payload is not an object');
+        return { data: data, problems: problems };
+    }
+
+    ['Customer', 'Business'].forEach(segment => {
+        const categories = feesData[segment];
+        if (categories === undefined) {
+            problem(segment, 'Missing key');
+            return;
+        }
+        if (!categories || typeof categories !== 'object' || Array.isArray(categories)) {
+            problem(segment, 'Expected an object of categories');
+            return;
+        }
+
+        data[segment] = {};
+        Object.entries(categories).forEach(([category, items]) => {
+            const path = `${segment}.${category}`;
+            if (!Array.isArray(items)) {
+                problem(path, 'Category is not an array');
+                return;
+            }
+
+            data[segment][category] = items.filter((item, index) => {
+                const itemPath = `${path}[${index}]`;
+                if (!item || typeof item !== 'object') {
+                    problem(itemPath, 'Entry is not an object');
+                    return false;
+                }
+                if (typeof item.Service !== 'string' || !item.Service.trim()) {
+                    problem(`${itemPath}.Service`, 'Missing service name');
+                    return false;
+                }
+                if (typeof item.Fee !== 'string' && typeof item.Fee !== 'number') {
+                    problem(`${itemPath}.Fee`, 'Missing fee');
+                    return false;
+                }
+                if (item.Description !== undefined && typeof item.Description !== 'string') {
+                    problem(`${itemPath}.Description`, 'Description is not text');
+                }
+                return true;
+            });
+        });
+    });
+
+    return { data: data, problems: problems };
+}
+
+// Build a fee schedule entry from a raw API item
+export function createFeeEntry(currencies, item, category, segment) {
+    const fee = item.Fee !== undefined && item.Fee !== '' ? String(item.Fee) : 'N/A';
+    return {
+        id: `${segment}/${category}/${item.Service}`,
+        segment: segment,
+        category: category,
+        service: item.Service || 'Unknown Service',
+        fee: fee,
+        description: item.Description || '',
+        rule: parseFeeRule(currencies, fee)
+    };
+}
+
+// Turn a fee payload into { schedule: { Customer, Business, unparsed }, problems }, using only the parts that validate
+export function processFeesData(currencies, feesData) {
+    const schedule = { Customer: [], Business: [], unparsed: [] };
+    const { data, problems } = validateFeesPayload(feesData);
+
+    ['Customer', 'Business'].forEach(segment => {
+        if (!data[segment]) return;
+
+        Object.entries(data[segment]).forEach(([category, items]) => {
+            items.forEach(item => {
+                const entry = createFeeEntry(currencies, item, category, segment);
+                schedule[segment].push(entry);
+                if (entry.rule.type === 'unknown') {
+                    schedule.unparsed.push(entry);
+                }
+            });
+        });
+    });
+
+    return { schedule: schedule, problems: problems };
+}
+
+// Compare a fee schedule against previously seen fees ({ id: feeText })
+export function diffFeeSchedules(previousFees, schedule) {
+    const changes = { byId: {}, removed: [] };
+    if (!previousFees) return changes;
+
+    const current = [...schedule.Customer, ...schedule.Business];
+    current.forEach(entry => {
+        if (!(entry.id in previousFees)) {
+            changes.byId[entry.id] = { status: 'added' };
+        } else if (String(previousFees[entry.id]) !== String(entry.fee)) {
+            changes.byId[entry.id] = { status: 'changed', previousFee: previousFees[entry.id] };
+        }
+    });
+
+    const currentIds = new Set(current.map(entry => entry.id));
+    Object.entries(previousFees).forEach(([id, fee]) => {
+        if (!currentIds.has(id)) changes.removed.push({ id: id, fee: fee });
+    });
+    return changes;
+}
\ No newline at end of file
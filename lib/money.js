@@ -0,0 +1,92 @@
+/**
+ * VitalSwap Money
+ * Description: Exact money arithmetic in whole minor units
+ *
+ * Money is worked in whole minor units (cents, kobo) of each currency. Rates and
+ * percentages are turned into exact decimal fractions, so every multiplication is
+ * done in BigInt and rounded once, with one of the modes 'up', 'down', 'half-up'
+ * (ties away from zero) or 'half-even'.
+ *
+ * Functions that need to know about currencies take a pricing context first:
+ *   { currencies, rates, rounding }
+ * the currency registry, a rate table { from: { to: rate } } and the rounding mode
+ * for each step, as in App.config.
+ */
+
+import { getPrecision } from './currencies.js';
+
+// Turn a number into an exact decimal fraction { numerator, denominator } of BigInts
+export function toFraction(value) {
+    // 15 significant digits drops binary noise such as 0.17500000000000002
+    const [mantissa, exponent = '0'] = String(Number(value.toPrecision(15))).split('e');
+    const [whole, fraction = ''] = mantissa.split('.');
+    const scale = fraction.length - Number(exponent);
+    const digits = BigInt(whole + fraction);
+    return scale >= 0
+        ? { numerator: digits, denominator: 10n ** BigInt(scale) }
+        : { numerator: digits * 10n ** BigInt(-scale), denominator: 1n };
+}
+
+// Divide BigInts and round the quotient to a whole number with the given mode
+export function divideRounded(numerator, denominator, mode) {
+    if (denominator < 0n) {
+        numerator = -numerator;
+        denominator = -denominator;
+    }
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    if (remainder === 0n) return quotient;
+
+    // BigInt division truncates towards zero; `away` is the next whole number out
+    const away = quotient + (numerator < 0n ? -1n : 1n);
+    const twice = 2n * (remainder < 0n ? -remainder : remainder);
+    const nearest = twice === denominator ? null : (twice > denominator ? away : quotient);
+
+    switch (mode) {
+        case 'up':
+            return numerator > 0n ? away : quotient;
+        case 'down':
+            return numerator > 0n ? quotient : away;
+        case 'half-up':
+            return nearest ?? away;
+        case 'half-even':
+            return nearest ?? (quotient % 2n === 0n ? quotient : away);
+        default:
+            throw new Error(`Unknown rounding mode: ${mode}`);
+    }
+}
+
+// Multiply minor units by factor / divisor, rounded to a whole minor unit
+export function multiplyMinor(minor, factor, mode, divisor = 1) {
+    const { numerator, denominator } = toFraction(factor);
+    return Number(divideRounded(BigInt(minor) * numerator, denominator * BigInt(divisor), mode));
+}
+
+// Convert a major amount to whole minor units of its currency
+export function toMinor(pricing, amount, currency, mode = pricing.rounding.input) {
+    const { numerator, denominator } = toFraction(amount);
+    return Number(divideRounded(numerator * 10n ** BigInt(getPrecision(pricing.currencies, currency)), denominator, mode));
+}
+
+// Convert whole minor units back to a major amount for display
+export function fromMinor(pricing, minor, currency) {
+    return minor / 10 ** getPrecision(pricing.currencies, currency);
+}
+
+// Convert minor units between currencies at `rate` (the table rate by default), or null without one
+export function convertMinor(pricing, minor, fromCurrency, toCurrency, mode, rate = pricing.rates[fromCurrency]?.[toCurrency]) {
+    if (fromCurrency === toCurrency) return minor;
+    if (!rate) return null;
+
+    const { numerator, denominator } = toFraction(rate);
+    const scaleTo = 10n ** BigInt(getPrecision(pricing.currencies, toCurrency));
+    const scaleFrom = 10n ** BigInt(getPrecision(pricing.currencies, fromCurrency));
+    return Number(divideRounded(BigInt(minor) * numerator * scaleTo, denominator * scaleFrom, mode));
+}
+
+// Convert an amount between currencies at the table rate, or null without one
+export function convertAmount(pricing, amount, fromCurrency, toCurrency) {
+    if (fromCurrency === toCurrency) return amount;
+    const minor = convertMinor(pricing, toMinor(pricing, amount, fromCurrency), fromCurrency, toCurrency, pricing.rounding.conversion);
+    return minor === null ? null : fromMinor(pricing, minor, toCurrency);
+}
\ No newline at end of file
@@ -0,0 +1,78 @@
+/**
+ * VitalSwap Quotes
+ * Description: Swap math for the calculator
+ *
+ * Quotes are settled in whole minor units with the pricing context's rounding modes
+ * (see money.js), so send = fee + principal exactly. A quote is:
+ *   { sendAmount, sendCurrency, receiveCurrency, rate, feeRule, feeResult, fee, principal,
+ *     receiveAmount, minor: { send, fee, principal, receive } }
+ * feeResult is null when the fee cannot be priced; the fee is then taken as zero.
+ * Both functions throw when the pair has no rate.
+ */
+
+import { getRate } from './currencies.js';
+import { toMinor, fromMinor, convertMinor } from './money.js';
+import { calculateFee } from './fees.js';
+
+/*
+ * Price a swap forward from the amount sent; the fee comes out of the send amount,
+ * and the payout is the principal converted with `rounding.payout`.
+ */
+export function computeQuote(pricing, sendAmount, sendCurrency, receiveCurrency, feeRule) {
+    const rate = getRate(pricing.rates, sendCurrency, receiveCurrency);
+    const sendMinor = toMinor(pricing, sendAmount, sendCurrency);
+    const feeResult = calculateFee(pricing, feeRule, fromMinor(pricing, sendMinor, sendCurrency), sendCurrency);
+    // The fee can never take more than is sent
+    const feeMinor = feeResult ? Math.min(feeResult.minor, sendMinor) : 0;
+    const principalMinor = sendMinor - feeMinor;
+    const receiveMinor = convertMinor(pricing, principalMinor, sendCurrency, receiveCurrency, pricing.rounding.payout, rate);
+
+    return {
+        sendAmount: fromMinor(pricing, sendMinor, sendCurrency),
+        sendCurrency: sendCurrency,
+        receiveCurrency: receiveCurrency,
+        rate: rate,
+        feeRule: feeRule,
+        feeResult: feeResult,
+        fee: fromMinor(pricing, feeMinor, sendCurrency),
+        principal: fromMinor(pricing, principalMinor, sendCurrency),
+        receiveAmount: fromMinor(pricing, receiveMinor, receiveCurrency),
+        minor: { send: sendMinor, fee: feeMinor, principal: principalMinor, receive: receiveMinor }
+    };
+}
+
+/*
+ * Price a swap backwards from the amount the recipient must get.
+ * Finds the smallest principal whose payout covers the target, solves
+ * send = principal + fee(send) in minor units, then nudges the send amount
+ * up one minor unit at a time until the payout covers the target.
+ */
+export function computeReverseQuote(pricing, receiveAmount, sendCurrency, receiveCurrency, feeRule) {
+    const rate = getRate(pricing.rates, sendCurrency, receiveCurrency);
+    const { payout } = pricing.rounding;
+    const targetMinor = toMinor(pricing, receiveAmount, receiveCurrency);
+    const payoutOf = (minor) => convertMinor(pricing, minor, sendCurrency, receiveCurrency, payout, rate);
+
+    let principalMinor = convertMinor(pricing, targetMinor, receiveCurrency, sendCurrency, 'up', 1 / rate);
+    while (payoutOf(principalMinor) < targetMinor) principalMinor++;
+    while (principalMinor > 0 && payoutOf(principalMinor - 1) >= targetMinor) principalMinor--;
+
+    // Fees never grow faster than the amount, so this fixed-point iteration converges
+    let sendMinor = principalMinor;
+    for (let i = 0; i < 50; i++) {
+        const feeResult = calculateFee(pricing, feeRule, fromMinor(pricing, sendMinor, sendCurrency), sendCurrency);
+        if (!feeResult) {
+            return computeQuote(pricing, 0, sendCurrency, receiveCurrency, feeRule);
+        }
+        const next = principalMinor + feeResult.minor;
+        if (next === sendMinor) break;
+        sendMinor = next;
+    }
+
+    let quote = computeQuote(pricing, fromMinor(pricing, sendMinor, sendCurrency), sendCurrency, receiveCurrency, feeRule);
+    while (quote.minor.receive < targetMinor && quote.feeResult) {
+        sendMinor++;
+        quote = computeQuote(pricing, fromMinor(pricing, sendMinor, sendCurrency), sendCurrency, receiveCurrency, feeRule);
+    }
+    return quote;
+}
\ No newline at end of file
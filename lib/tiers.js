@@ -0,0 +1,71 @@
+/**
+ * VitalSwap Tiers
+ * Description: Tier configuration validation and per-tier pricing
+ *
+ * A tier configuration is { tiers: [tier, ...] } where each tier is:
+ *   id, name          - tab id and label
+ *   segments          - fee API segments it covers, e.g. ["Customer"] (default: all)
+ *   services          - optional list of service names to include
+ *   categories        - optional list of API categories to include
+ *   discountPercent   - optional discount applied to every included fee
+ *   overrides         - optional { "Service name": "fee text" }, parsed like API fees
+ *   subscription      - optional plan price, e.g. "$9.99/month", used by the comparison view
+ */
+
+import { parseFeeRule, applyDiscountToFee } from './fees.js';
+
+// Check a tier configuration: { tiers, problems }, with tiers null when none are usable
+export function validateTierConfig(currencies, tierData) {
+    const problems = [];
+    const tiers = Array.isArray(tierData?.tiers) ? tierData.tiers : [];
+    if (tiers.length === 0) {
+        problems.push({ path: 'tiers', message: 'Expected a non-empty array of tiers' });
+    }
+
+    const ids = new Set();
+    const valid = tiers.filter((tier, index) => {
+        const path = `tiers[${index}]`;
+        if (!tier || typeof tier.id !== 'string' || typeof tier.name !== 'string') {
+            problems.push({ path: path, message: 'Tier needs a string id and name' });
+            return false;
+        }
+        if (!/^[a-z0-9-]+$/i.test(tier.id) || ids.has(tier.id)) {
+            problems.push({ path: `${path}.id`, message: 'Tier id must be unique and alphanumeric' });
+            return false;
+        }
+        if (tier.discountPercent !== undefined && !(tier.discountPercent >= 0 && tier.discountPercent < 100)) {
+            problems.push({ path: `${path}.discountPercent`, message: 'Discount must be between 0 and 100' });
+            return false;
+        }
+        if (tier.subscription !== undefined && parseFeeRule(currencies, String(tier.subscription)).type !== 'recurring') {
+            problems.push({ path: `${path}.subscription`, message: 'Subscription must be a recurring price such as "$9.99/month"' });
+            return false;
+        }
+        ids.add(tier.id);
+        return true;
+    });
+
+    return { tiers: valid.length > 0 ? valid : null, problems: problems };
+}
+
+// The fee schedule entries a tier covers, priced for that tier
+export function resolveTierEntries(currencies, schedule, tier) {
+    if (!schedule) return [];
+
+    const segments = tier.segments || ['Customer', 'Business'];
+    const factor = 1 - (tier.discountPercent || 0) / 100;
+    const overrides = tier.overrides || {};
+
+    return segments
+        .flatMap(segment => schedule[segment] || [])
+        .filter(entry => !tier.services || tier.services.includes(entry.service))
+        .filter(entry => !tier.categories || tier.categories.includes(entry.category))
+        .map(entry => {
+            if (overrides[entry.service] !== undefined) {
+                const fee = String(overrides[entry.service]);
+                return { ...entry, tierId: tier.id, fee: fee, rule: parseFeeRule(currencies, fee) };
+            }
+            const rule = factor < 1 ? applyDiscountToFee(entry.rule, factor) : entry.rule;
+            return { ...entry, tierId: tier.id, rule: rule };
+        });
+}
\ No newline at end of file
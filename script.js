@@ -6,48 +6,253 @@
  * AI-Assisted Integration: exchange rate data
  */
 
+import * as Currencies from './lib/currencies.js';
+import * as Money from './lib/money.js';
+import * as Fees from './lib/fees.js';
+import * as Tiers from './lib/tiers.js';
+import * as Quote from './lib/quote.js';
+import { createHttpDataSource, loadData, chooseFallbackFees, cachedQuotes } from './lib/data-source.js';
+
 const App = {
     // Configuration
     config: {
-        feePercentage: 0.0025,
-        exchangeRates: {
-            'USD': { 'EUR': 0.9215, 'GBP': 0.7950, 'NGN': 1480, 'USD': 1 },
-            'EUR': { 'USD': 1.0852, 'GBP': 0.8628, 'NGN': 1579.50, 'EUR': 1 },
-            'GBP': { 'USD': 1.2579, 'EUR': 1.1590, 'NGN': 1829.80, 'GBP': 1 },
-            'NGN': { 'USD': 0.00068, 'EUR': 0.00063, 'GBP': 0.00054, 'NGN': 1 }
+        feeRule: { type: 'percentage', percent: 0.25 },
+        quoteLockSeconds: 60,
+        quoteRateTolerance: 0.005,
+        // Pause after the last change before a new quote is read out to screen readers
+        announceDelayMs: 1000,
+        // Rounding mode for each money step: 'up', 'down', 'half-up' (ties away from zero) or 'half-even'
+        rounding: { fee: 'up', payout: 'down', conversion: 'half-even', input: 'half-up' },
+        // Currency registry; the selects, fee parsing, formatting, rate fetching and chart pairs all read it
+        currencies: Currencies.registry,
+        // Per-service limits on the amount sent, by currency; they narrow the registry's limits
+        serviceLimits: {
+            'USD Bank Transfer': { USD: { min: 100 } },
+            'Card Funding': { USD: { max: 5000 }, EUR: { max: 4500 }, GBP: { max: 4000 } }
         },
+        // Locale for typing and showing amounts; null follows the browser (navigator.language)
+        locale: null,
+        // Interface languages, each with a message catalog in i18n.js; names are shown in their own language
+        languages: [
+            { code: 'en', name: 'English' },
+            { code: 'fr', name: 'Français' },
+            { code: 'pcm', name: 'Naijá' }
+        ],
+        languageStorageKey: 'vitalswap.language',
+        // Cross-rate matrix { from: { to: rate } }, built from the registry by buildRateTable
+        exchangeRates: {},
         apiEndpoints: {
             fees: 'https://2kbbumlxz3.execute-api.us-east-1.amazonaws.com/default/fee',
-            exchange: 'https://2kbbumlxz3.execute-api.us-east-1.amazonaws.com/default/exchange'
+            exchange: 'https://2kbbumlxz3.execute-api.us-east-1.amazonaws.com/default/exchange',
+            // Optional rate history endpoint: ?from=USD&to=NGN&range=7d -> { rates: [{ timestamp, rate }] }
+            history: null,
+            // Optional tier configuration endpoint, same shape as tiers.json
+            tiers: null
+        },
+        tierConfigUrl: 'tiers.json',
+        // Used when neither the API nor tiers.json provide a tier configuration
+        defaultTiers: [
+            { id: 'standard', name: 'Standard', segments: ['Customer'] },
+            { id: 'business', name: 'Business', segments: ['Business'] }
+        ],
+        // Bundled fee schedule, in the fee API's shape, for when nothing else is available
+        fallbackFees: {
+            Customer: {
+                'Transfers': [
+                    { Service: 'Wallet to Wallet Transfer', Fee: '0.25%', Description: 'Instant transfers between wallets' }
+                ],
+                'Cards': [
+                    { Service: 'Virtual Card Creation', Fee: '$1.50', Description: 'One-time card creation fee' },
+                    { Service: 'Card Funding', Fee: '1.0%', Description: 'Credit/debit card deposits' }
+                ],
+                'Currency Conversion': [
+                    { Service: 'Currency Conversion', Fee: '0.5%', Description: 'FX conversion fee' }
+                ],
+                'Bank Transfers': [
+                    { Service: 'NGN Bank Transfer', Fee: '₦100', Description: 'Local bank transfers' },
+                    { Service: 'USD Bank Transfer', Fee: '$15', Description: 'International wire transfer' }
+                ]
+            },
+            Business: {
+                'API': [
+                    { Service: 'Business API Access', Fee: 'Custom', Description: 'Volume-based pricing' }
+                ],
+                'Payments': [
+                    { Service: 'Batch Payments', Fee: '$0.50 per payment', Description: 'Bulk payment processing' },
+                    { Service: 'Settlement Services', Fee: '0.1%', Description: 'High-volume settlement' }
+                ],
+                'Support': [
+                    { Service: 'Priority Support', Fee: '$99/month', Description: '24/7 dedicated support' }
+                ]
+            }
+        },
+        historyStorageKey: 'vitalswap.rateHistory',
+        historyMinIntervalMinutes: 15,
+        chartRanges: { '24h': 24 * 60 * 60 * 1000, '7d': 7 * 24 * 60 * 60 * 1000, '30d': 30 * 24 * 60 * 60 * 1000 },
+        snapshotKeys: {
+            fees: 'vitalswap.snapshot.fees',
+            rates: 'vitalswap.snapshot.rates'
+        },
+        snapshotSchemaVersion: 1,
+        // Amount (in USD) fees are priced on when sorting tables by effective fee
+        sortReferenceAmount: 100,
+        seenFeesStorageKey: 'vitalswap.seenFees',
+        // Live rates further than this factor from the bundled rate are rejected as implausible
+        rateSanityFactor: 5,
+        refresh: {
+            intervalMinutes: 5,
+            maxBackoffMinutes: 60,
+            staleAfterMinutes: 15
         }
     },
 
+    // Where the data on screen came from and when it was last refreshed
+    dataStatus: {
+        source: 'fallback',
+        lastUpdated: null,
+        failures: 0
+    },
+
+    // Problems found in the last fee and exchange payloads
+    validationProblems: {
+        fees: [],
+        exchange: [],
+        tiers: []
+    },
+
+    // Where the fee schedule on screen came from: api, cached or fallback
+    feesSource: {
+        source: 'fallback',
+        fetchedAt: null
+    },
+
+    // Interface language, one of config.languages
+    language: 'en',
+
+    // Where fees, rates, tiers and rate history come from (see lib/data-source.js); set before init to use another
+    // (see the end of this file); init falls back to the HTTP APIs in config.apiEndpoints
+    dataSource: null,
+
     // Initialize the application
     async init() {
         console.log('Initializing VitalSwap App...');
         
         // Initialize elements first
         this.initializeElements();
+        this.dataSource = this.dataSource || createHttpDataSource({
+            endpoints: this.config.apiEndpoints,
+            tierConfigUrl: this.config.tierConfigUrl
+        });
+        this.initializeLanguage();
+        this.initializeEmbed();
+        this.linkedState = this.readCalculatorState();
+        this.buildRateTable();
+        this.resetRateSources();
+        this.populateCurrencySelects();
+
+        // Keep the bundled rates as the reference for sanity-checking live ones
+        this.referenceRates = JSON.parse(JSON.stringify(this.config.exchangeRates));
         
         // Set default currencies - NGN as receive currency
         this.setDefaultCurrencies();
+
+        // Build the fee tabs from the tier configuration
+        this.tiers = await this.loadTierConfig();
+        this.renderTierTabs();
+        this.initializeFeeFilters();
         
         // Show loading state
         this.showLoading(true);
         
         try {
-            // Try to load real data
-            await this.loadRealTimeData();
+            // Try to load real data; whatever did not load is already on its fallback
+            const loaded = await this.loadRealTimeData();
+            this.markDataRefreshed(loaded);
+            if (!loaded.feesLoaded || !loaded.ratesLoaded) {
+                this.showError(this.describeFallback(), true);
+            }
         } catch (error) {
             console.warn('Using fallback data:', error);
-            this.showError('Using fallback data - API temporarily unavailable');
             this.useFallbackData();
+            this.showError(this.describeFallback(), true);
+            this.dataStatus.failures++;
         } finally {
             this.showLoading(false);
             this.initializeCalculator();
             this.initializeTabs();
+            this.initializeAdvisor();
             this.initializeChart();
+            this.startRefreshScheduler();
+        }
+    },
+
+    // Record a load for backoff; it only counts as a success if the fees and every rate pair loaded
+    markDataRefreshed({ feesLoaded, ratesLoaded }) {
+        if (feesLoaded && ratesLoaded) {
+            this.dataStatus.failures = 0;
+        } else {
+            this.dataStatus.failures++;
+            console.warn(`Load incomplete (${this.dataStatus.failures} in a row): fees ${feesLoaded ? 'loaded' : 'failed'}, rates ${ratesLoaded ? 'loaded' : 'incomplete'}`);
+        }
+    },
+
+    // Schedule periodic refreshes, backing off on failure and pausing while the page is hidden
+    startRefreshScheduler() {
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                clearTimeout(this.refreshTimer);
+            } else {
+                this.scheduleRefresh();
+            }
+        });
+
+        // Keep the "updated N minutes ago" text current between refreshes
+        this.freshnessTimer = setInterval(() => this.renderRateBadge(), 30 * 1000);
+
+        this.scheduleRefresh();
+    },
+
+    // Delay before the next refresh: the interval, doubled for each consecutive failure
+    getRefreshDelay() {
+        const { intervalMinutes, maxBackoffMinutes } = this.config.refresh;
+        const backoff = intervalMinutes * Math.pow(2, this.dataStatus.failures);
+        return Math.min(backoff, maxBackoffMinutes) * 60 * 1000;
+    },
+
+    // Set the refresh timer, running at once if a refresh came due while hidden
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        if (document.hidden) return;
+
+        const lastAttempt = this.lastRefreshAttempt || Date.now();
+        const wait = Math.max(0, lastAttempt + this.getRefreshDelay() - Date.now());
+        this.refreshTimer = setTimeout(() => this.refreshData(), wait);
+    },
+
+    // Reload rates and fees, then update the page in place
+    async refreshData() {
+        this.lastRefreshAttempt = Date.now();
+
+        try {
+            const loaded = await this.loadRealTimeData();
+            this.markDataRefreshed(loaded);
+            // Back on live data: hide the fallback notice, but not problems this load reported
+            if (loaded.feesLoaded && loaded.ratesLoaded && this.errorPersistent) {
+                this.showError(null);
+            }
+        } catch (error) {
+            // Keep showing the last data we had; the badge reports it as stale
+            this.dataStatus.failures++;
+            console.warn(`Refresh failed (${this.dataStatus.failures} in a row):`, error);
+        }
+
+        // A locked quote keeps its numbers; checkLockedQuoteRate handles drift
+        if (!this.lockedQuote) {
+            this.calculateSwap();
         }
+        this.renderRateBadge();
+        this.updateChart();
+        this.scheduleRefresh();
     },
 
     // Initialize DOM elements
@@ -57,95 +262,256 @@ const App = {
             sendCurrency: document.getElementById('send-currency'),
             receiveAmount: document.getElementById('receive-amount'),
             receiveCurrency: document.getElementById('receive-currency'),
+            serviceSelect: document.getElementById('fee-service'),
+            advisorBody: document.getElementById('advisor-usage-body'),
+            advisorCurrency: document.getElementById('advisor-currency'),
+            advisorResults: document.getElementById('advisor-results'),
+            tierSelect: document.getElementById('fee-tier'),
             feeDisplay: document.getElementById('fee-display'),
+            principalDisplay: document.getElementById('principal-display'),
+            totalDisplay: document.getElementById('total-display'),
             rateDisplay: document.getElementById('rate-display'),
             swapBtn: document.getElementById('swap-currencies-btn'),
-            tabs: document.querySelectorAll('.tab-link'),
-            tabContents: document.querySelectorAll('.tab-content'),
+            lockQuoteBtn: document.getElementById('lock-quote-btn'),
+            copyLinkBtn: document.getElementById('copy-link-btn'),
+            printReceiptBtn: document.getElementById('print-receipt-btn'),
+            receipt: document.getElementById('quote-receipt'),
+            quoteStatus: document.getElementById('quote-status'),
+            quoteCountdown: document.getElementById('quote-countdown'),
+            requoteBtn: document.getElementById('requote-btn'),
+            unlockQuoteBtn: document.getElementById('unlock-quote-btn'),
+            quoteAnnouncer: document.getElementById('quote-announcer'),
+            feeSearch: document.getElementById('fee-search'),
+            feeSort: document.getElementById('fee-sort'),
+            feeCategory: document.getElementById('fee-category'),
+            feeType: document.getElementById('fee-type'),
+            tabList: document.getElementById('fee-tabs'),
+            tabPanels: document.getElementById('fee-tab-panels'),
             chartCanvas: document.getElementById('fxRateChart'),
+            chartPair: document.getElementById('chart-pair'),
+            chartSubtitle: document.getElementById('chart-subtitle'),
+            chartRangeBtns: document.querySelectorAll('.range-btn'),
+            chartStats: document.getElementById('chart-stats'),
+            chartTableCaption: document.getElementById('chart-table-caption'),
+            chartTableBody: document.getElementById('chart-table-body'),
+            languageSelect: document.getElementById('language-select'),
             loadingIndicator: document.getElementById('loading-indicator'),
-            errorDisplay: document.getElementById('error-display'),
-            standardFeesBody: document.getElementById('standard-fees-body'),
-            premiumFeesBody: document.getElementById('premium-fees-body'),
-            businessFeesBody: document.getElementById('business-fees-body'),
-            feeTables: document.querySelectorAll('.tab-content table'),
-            feeLoadings: document.querySelectorAll('.fee-loading')
+            errorDisplay: document.getElementById('error-display')
         };
     },
 
-    // NEW: Set default currencies with NGN as receive currency
+    // Set the calculator currencies from a shared link, otherwise USD to NGN
     setDefaultCurrencies() {
-        // Set send currency to USD (default)
+        const sendCurrency = this.linkedState?.from || 'USD';
+        const receiveCurrency = this.linkedState?.to || 'NGN';
+
         if (this.elements.sendCurrency) {
-            this.elements.sendCurrency.value = 'USD';
+            this.elements.sendCurrency.value = sendCurrency;
         }
-        
-        // Set receive currency to NGN (your requirement)
         if (this.elements.receiveCurrency) {
-            this.elements.receiveCurrency.value = 'NGN';
+            this.elements.receiveCurrency.value = receiveCurrency;
         }
         
-        console.log('Default currencies set: Send = USD, Receive = NGN');
+        console.log(`Default currencies set: Send = ${sendCurrency}, Receive = ${receiveCurrency}`);
     },
 
-    // Load real-time data from APIs
+    // Load fees and rates from the data source (see loadData) and show what came back.
+    // Resolves to { feesLoaded, ratesLoaded }; whatever did not load is already on its fallback
     async loadRealTimeData() {
         console.log('Loading real-time data from APIs...');
-        
-        try {
-            // Fetch fees data
-            const feesResponse = await fetch(this.config.apiEndpoints.fees);
-            if (feesResponse.ok) {
-                const feesData = await feesResponse.json();
-                console.log('Fees API Response:', feesData);
-                this.processFeesData(feesData);
-                this.populateFeeTablesWithActualData(feesData);
-            } else {
-                throw new Error('Fees API response not OK');
-            }
 
-            // Fetch exchange rate data
-            const exchangeResponse = await fetch(`${this.config.apiEndpoints.exchange}?from=USD&to=NGN`);
-            if (exchangeResponse.ok) {
-                const exchangeData = await exchangeResponse.json();
-                console.log('Exchange API Response:', exchangeData);
-                this.updateExchangeRates(exchangeData);
-            }
+        const loaded = await loadData(this.dataSource, {
+            currencies: this.config.currencies,
+            referenceRates: this.referenceRates,
+            sanityFactor: this.config.rateSanityFactor,
+            snapshots: { fees: this.loadSnapshot('fees'), rates: this.loadSnapshot('rates') },
+            fallbackFees: this.config.fallbackFees,
+            // A refresh keeps the data already on screen; with no live rates yet, the saved ones beat the bundled ones
+            keep: { fees: Boolean(this.feeSchedule), rates: Boolean(this.dataStatus.lastUpdated) }
+        });
 
-            console.log('Real-time data loaded successfully');
-        } catch (error) {
-            console.error('Error loading real-time data:', error);
-            throw error;
+        this.validationProblems.exchange = loaded.problems.exchange;
+        if (loaded.problems.exchange.length > 0) {
+            console.warn('Exchange payload problems:', loaded.problems.exchange);
         }
+        if (loaded.errors.fees) console.warn('Fees not loaded:', loaded.errors.fees);
+        if (loaded.errors.rates) console.warn('Rates not loaded:', loaded.errors.rates);
+
+        if (loaded.fees) this.showFees(loaded.fees);
+        if (loaded.rates) this.showRates(loaded.rates);
+        if (loaded.feesLoaded) this.saveSnapshot('fees', loaded.fees.payload);
+        if (loaded.ratesLoaded) this.saveSnapshot('rates', loaded.rates.quotes);
+
+        return { feesLoaded: loaded.feesLoaded, ratesLoaded: loaded.ratesLoaded };
+    },
+
+    // Show a fee schedule from loadData, diffing live ones against the last visit
+    showFees({ source, fetchedAt, payload, schedule, problems }) {
+        console.log(`Showing ${source} fee schedule`, fetchedAt ? `from ${new Date(fetchedAt)}` : '');
+        this.recordFeeSchedule(schedule, problems);
+        if (source === 'api') this.trackFeeChanges(schedule);
+        this.feesSource = { source: source, fetchedAt: fetchedAt };
+        this.populateFeeTablesWithActualData(payload);
+    },
+
+    // Apply rates from loadData; saved ones keep their age and are tagged as cached
+    showRates({ source, fetchedAt, quotes }) {
+        this.updateExchangeRates(quotes, fetchedAt);
+        if (source === 'live') {
+            this.dataStatus.source = 'live';
+            this.dataStatus.lastUpdated = fetchedAt;
+            this.recordRateHistory(fetchedAt);
+            return;
+        }
+
+        console.log('Using cached exchange rates from', new Date(fetchedAt));
+        Object.values(this.rateSources).forEach(row => {
+            Object.keys(row).forEach(to => {
+                if (row[to] !== 'fallback') row[to] = 'cached';
+            });
+        });
+        // The identity rates are exact, whatever the source
+        Object.keys(this.rateSources).forEach(code => {
+            this.rateSources[code][code] = 'live';
+        });
+
+        this.dataStatus.source = 'cached';
+        this.dataStatus.lastUpdated = fetchedAt;
     },
 
-    // Process fees data from API - Updated for actual structure
+    // Process fees data from API into a structured fee schedule
     processFeesData(feesData) {
         console.log('Processing fees data from actual API structure...');
-        
-        // Extract fee percentage from the actual API structure
-        // Look for typical fee structures in the response
-        if (feesData.Customer && feesData.Customer['Wallet to Wallet Transfer']) {
-            const walletTransfer = feesData.Customer['Wallet to Wallet Transfer'];
-            if (walletTransfer.length > 0 && walletTransfer[0].Fee) {
-                const feeText = walletTransfer[0].Fee;
-                // Try to extract percentage from fee text (e.g., "2%" or "0.5%")
-                const percentageMatch = feeText.match(/(\d+\.?\d*)%/);
-                if (percentageMatch) {
-                    this.config.feePercentage = parseFloat(percentageMatch[1]) / 100;
-                    console.log('Updated fee percentage to:', this.config.feePercentage);
-                }
-            }
+
+        const { schedule, problems } = Fees.processFeesData(this.config.currencies, feesData);
+        return this.recordFeeSchedule(schedule, problems);
+    },
+
+    // Keep a processed fee schedule, reporting its payload problems and the fees we could not read
+    recordFeeSchedule(schedule, problems) {
+        // Only the parts of the payload that pass validation are used
+        this.feeSchedule = schedule;
+        this.validationProblems.fees = problems;
+        if (problems.length > 0) {
+            console.warn('Fee payload problems:', problems);
+            this.showError(this.t('fees.skipped', { count: problems.length }));
+        }
+
+        if (this.feeSchedule.unparsed.length > 0) {
+            console.warn('Could not interpret these fees:', this.feeSchedule.unparsed.map(entry =>
+                `${entry.segment} / ${entry.category} / ${entry.service}: "${entry.fee}"`));
+        }
+
+        return this.feeSchedule;
+    },
+
+    // Read the fee schedule seen on the previous visit: { id: feeText }
+    loadSeenFees() {
+        try {
+            const seen = JSON.parse(localStorage.getItem(this.config.seenFeesStorageKey));
+            return seen && seen.fees ? seen.fees : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    // Diff the live schedule against the previous visit's and remember it for next time
+    trackFeeChanges(schedule) {
+        // The baseline is fixed for the whole visit so markers survive auto-refreshes
+        if (this.previousVisitFees === undefined) {
+            this.previousVisitFees = this.loadSeenFees();
+        }
+        this.feeChanges = Fees.diffFeeSchedules(this.previousVisitFees, schedule);
+
+        const fees = {};
+        [...schedule.Customer, ...schedule.Business].forEach(entry => {
+            fees[entry.id] = entry.fee;
+        });
+        try {
+            localStorage.setItem(this.config.seenFeesStorageKey, JSON.stringify({ seenAt: Date.now(), fees: fees }));
+        } catch (error) {
+            console.warn('Could not save seen fees:', error);
         }
     },
 
-    // Update exchange rates from API
-    updateExchangeRates(exchangeData) {
-        if (exchangeData.rate) {
-            console.log('Updating exchange rate:', exchangeData.rate);
-            this.config.exchangeRates.USD.NGN = exchangeData.rate;
-            this.config.exchangeRates.NGN.USD = 1 / exchangeData.rate;
+    // Marker for rows whose fee changed since the last visit
+    renderChangeMarker(entry) {
+        const change = this.feeChanges?.byId[entry.id];
+        if (!change) return null;
+        if (change.status === 'added') {
+            return this.createNode('span', { className: 'change-marker added', text: this.t('fees.new') });
         }
+        return this.createNode('span', {
+            className: 'change-marker',
+            text: this.t('fees.changed'),
+            attrs: { title: this.t('fees.was', { fee: change.previousFee }) }
+        });
+    },
+
+    /*
+     * Currency registry helpers
+     */
+
+    // Currencies.findCurrency over this page's registry
+    getCurrency(code) {
+        return Currencies.findCurrency(this.config.currencies, code);
+    },
+
+    // Reset config.exchangeRates to Currencies.buildRateTable over this page's registry
+    buildRateTable() {
+        this.config.exchangeRates = Currencies.buildRateTable(this.config.currencies);
+    },
+
+    // Fill the calculator's currency selects from the registry
+    populateCurrencySelects() {
+        [this.elements.sendCurrency, this.elements.receiveCurrency].forEach(select => {
+            if (!select) return;
+            select.replaceChildren(...this.config.currencies.map(currency => this.createNode('option', {
+                text: `${currency.flag} ${currency.code}`,
+                attrs: { value: currency.code, title: currency.name }
+            })));
+        });
+    },
+
+    // Currencies.getCurrencyPairs over this page's registry
+    getCurrencyPairs() {
+        return Currencies.getCurrencyPairs(this.config.currencies);
+    },
+
+    // Mark every rate in the table as coming from the bundled fallback numbers, never fetched
+    resetRateSources() {
+        this.rateSources = Currencies.fallbackSources(this.config.exchangeRates);
+        this.rateTimes = {};
+    },
+
+    // Update the cross-rate matrix from quotes fetched at `fetchedAt`, tagging and timing each rate (see applyQuotes)
+    updateExchangeRates(quotes, fetchedAt) {
+        const { rates, sources, times } = Currencies.applyQuotes(this.config.exchangeRates, quotes, this.config.currencies, {
+            sources: this.rateSources,
+            times: this.rateTimes,
+            fetchedAt: fetchedAt
+        });
+        this.config.exchangeRates = rates;
+        this.rateSources = sources;
+        this.rateTimes = times;
+
+        console.log('Updated exchange rates:', rates, this.rateSources);
+        this.checkLockedQuoteRate();
+    },
+
+    // Get how a rate was obtained: live, derived, cached or fallback
+    getRateSource(from, to) {
+        return this.rateSources?.[from]?.[to] || 'fallback';
+    },
+
+    // When the rate for a pair was fetched, or null while it is still the bundled one
+    getRateFetchedAt(from, to) {
+        return this.rateTimes?.[from]?.[to] || null;
+    },
+
+    // Whether the last live load left a pair without a fresh rate
+    missedLastLoad(from, to) {
+        return this.dataStatus.source === 'live' && this.getRateFetchedAt(from, to) !== this.dataStatus.lastUpdated;
     },
 
     // Populate fee tables with the ACTUAL API data structure
@@ -156,379 +522,2152 @@ const App = {
         this.elements.feeLoadings.forEach(loading => loading.style.display = 'none');
         this.elements.feeTables.forEach(table => table.style.display = 'table');
 
-        // Clear existing table data
-        this.elements.standardFeesBody.innerHTML = '';
-        this.elements.premiumFeesBody.innerHTML = '';
-        this.elements.businessFeesBody.innerHTML = '';
-
-        let hasData = false;
-
-        // Populate Standard tab with Customer services
-        if (feesData.Customer) {
-            console.log('Processing ACTUAL Customer data structure...');
-            this.populateStandardFeesFromActualData(feesData.Customer);
-            hasData = true;
-        }
-
-        // Populate Business tab with Business services
-        if (feesData.Business) {
-            console.log('Processing ACTUAL Business data structure...');
-            this.populateBusinessFeesFromActualData(feesData.Business);
-            hasData = true;
-        }
+        const schedule = this.feeSchedule || this.processFeesData(feesData);
+        const hasData = schedule.Customer.length > 0 || schedule.Business.length > 0;
 
         if (hasData) {
+            this.populateCategoryFilter();
+            this.tiers.forEach(tier => this.populateTierTable(tier));
+            this.populateServiceSelect();
+            this.renderAdvisorInputs();
             console.log('Successfully populated tables with actual API data');
         } else {
             console.log('No data found in actual API structure, using fallback');
-            this.useFallbackData();
+            this.useFallbackFees();
         }
     },
 
-    // Populate standard fees from ACTUAL Customer data structure
-    populateStandardFeesFromActualData(customerData) {
-        console.log('Populating standard fees from actual customer data:', customerData);
-        
-        const services = [];
-
-        // Extract services from the actual API structure
-        Object.entries(customerData).forEach(([category, items]) => {
-            if (Array.isArray(items)) {
-                items.forEach(item => {
-                    services.push({
-                        category: category,
-                        service: item.Service || 'Unknown Service',
-                        fee: item.Fee || 'N/A',
-                        description: item.Description || ''
-                    });
-                });
-            }
-        });
+    // Fill one tier's table with the services it covers, at that tier's price,
+    // filtered and sorted by the table controls and grouped by API category
+    populateTierTable(tier) {
+        const body = this.tierBodies[tier.id];
+        body.replaceChildren();
 
-        // Populate Standard tab with customer services (first 6 services)
-        services.slice(0, 6).forEach(service => {
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${service.service}</td>
-                <td>${service.fee}</td>
-                <td>${service.description || '-'}</td>
-                <td><span class="status-badge active">ACTIVE</span></td>
-            `;
-            this.elements.standardFeesBody.appendChild(row);
+        const entries = this.sortFeeEntries(this.resolveTierEntries(tier).filter(entry => this.matchesFeeFilters(entry)));
+        const groups = new Map();
+        entries.forEach(entry => {
+            if (!groups.has(entry.category)) groups.set(entry.category, []);
+            groups.get(entry.category).push(entry);
         });
 
-        // Populate Premium tab with customer services (next 6 services) with "discounted" rates
-        services.slice(6, 12).forEach(service => {
-            const discountedFee = this.applyDiscountToFee(service.fee);
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${service.service} (Premium)</td>
-                <td>${discountedFee}</td>
-                <td>${service.description || '-'}</td>
-                <td><span class="status-badge active">ACTIVE</span></td>
-            `;
-            this.elements.premiumFeesBody.appendChild(row);
-        });
-    },
+        groups.forEach((groupEntries, category) => {
+            const key = `${tier.id}/${category}`;
+            const collapsed = this.collapsedCategories.has(key);
 
-    // Populate business fees from ACTUAL Business data structure
-    populateBusinessFeesFromActualData(businessData) {
-        console.log('Populating business fees from actual business data:', businessData);
-        
-        const services = [];
-
-        // Extract services from the actual API structure
-        Object.entries(businessData).forEach(([category, items]) => {
-            if (Array.isArray(items)) {
-                items.forEach(item => {
-                    services.push({
-                        category: category,
-                        service: item.Service || 'Unknown Service',
-                        fee: item.Fee || 'N/A',
-                        description: item.Description || ''
-                    });
-                });
-            }
-        });
+            const toggle = this.createNode('button', {
+                className: 'category-toggle',
+                attrs: { 'aria-expanded': String(!collapsed) }
+            }, [
+                `${category} `,
+                this.createNode('span', { className: 'category-count', text: `(${groupEntries.length})` })
+            ]);
+            toggle.addEventListener('click', () => {
+                if (this.collapsedCategories.has(key)) this.collapsedCategories.delete(key);
+                else this.collapsedCategories.add(key);
+                this.populateTierTable(tier);
+            });
+            body.appendChild(this.createNode('tr', { className: 'category-row' }, [
+                this.createNode('th', { attrs: { colspan: '4' } }, [toggle])
+            ]));
 
-        // Populate Business tab with business services
-        services.forEach(service => {
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${service.service}</td>
-                <td>${service.fee}</td>
-                <td>${service.description || '-'}</td>
-                <td><span class="status-badge active">ACTIVE</span></td>
-            `;
-            this.elements.businessFeesBody.appendChild(row);
+            if (collapsed) return;
+
+            groupEntries.forEach(entry => body.appendChild(this.renderFeeRow(entry)));
         });
-    },
 
-    // Helper function to apply "discount" to fee text for premium tier
-    applyDiscountToFee(feeText) {
-        // Try to apply 30% discount to percentage fees
-        const percentageMatch = feeText.match(/(\d+\.?\d*)%/);
-        if (percentageMatch) {
-            const originalPercent = parseFloat(percentageMatch[1]);
-            const discountedPercent = (originalPercent * 0.7).toFixed(1);
-            return feeText.replace(percentageMatch[0], `${discountedPercent}%`);
+        if (entries.length === 0) {
+            body.appendChild(this.createNode('tr', {}, [
+                this.createNode('td', { className: 'fee-empty', text: this.t('fees.noMatch'), attrs: { colspan: '4' } })
+            ]));
         }
-        
-        // Try to apply discount to fixed amount fees
-        const amountMatch = feeText.match(/\$(\d+\.?\d*)/);
-        if (amountMatch) {
-            const originalAmount = parseFloat(amountMatch[1]);
-            const discountedAmount = (originalAmount * 0.7).toFixed(2);
-            return feeText.replace(amountMatch[0], `$${discountedAmount}`);
+
+        // Show how many services match in each tab while filtering
+        const count = this.elements.tabList.querySelector(`[aria-controls="${tier.id}-tab"] .tab-count`);
+        if (count) {
+            count.textContent = this.hasActiveFeeFilters() ? ` (${entries.length})` : '';
         }
-        
-        // If no numbers found, return original with "Premium" indicator
-        return feeText.includes('FREE') ? 'FREE' : `${feeText} (Discounted)`;
     },
 
-    // Use fallback data when APIs fail
-    useFallbackData() {
-        console.log('Using complete fallback data...');
-        
-        // Hide loading messages and show tables
-        this.elements.feeLoadings.forEach(loading => loading.style.display = 'none');
-        this.elements.feeTables.forEach(table => table.style.display = 'table');
+    /*
+     * Fee table search, sort and filters
+     *
+     * The filter state lives in this.feeFilters and is mirrored to the query string
+     * (q, sort, category, type) so a filtered view can be shared.
+     */
 
-        // Clear any existing data
-        this.elements.standardFeesBody.innerHTML = '';
-        this.elements.premiumFeesBody.innerHTML = '';
-        this.elements.businessFeesBody.innerHTML = '';
-
-        // Add fallback services to all tabs
-        this.addFallbackStandardServices();
-        this.addFallbackBusinessServices();
-    },
-
-    // Add fallback standard services
-    addFallbackStandardServices() {
-        const fallbackServices = [
-            { service: 'Wallet to Wallet Transfer', fee: '0.25%', description: 'Instant transfers between wallets', status: 'ACTIVE' },
-            { service: 'Virtual Card Creation', fee: '$1.50', description: 'One-time card creation fee', status: 'ACTIVE' },
-            { service: 'Currency Conversion', fee: '0.5%', description: 'FX conversion fee', status: 'ACTIVE' },
-            { service: 'NGN Bank Transfer', fee: '₦100', description: 'Local bank transfers', status: 'ACTIVE' },
-            { service: 'USD Bank Transfer', fee: '$15', description: 'International wire transfer', status: 'ACTIVE' },
-            { service: 'Card Funding', fee: '1.0%', description: 'Credit/debit card deposits', status: 'ACTIVE' }
-        ];
+    // Read the filter state from the URL and wire up the table controls
+    initializeFeeFilters() {
+        const els = this.elements;
+        const params = new URLSearchParams(window.location.search);
+        this.collapsedCategories = new Set();
+        this.feeFilters = {
+            query: params.get('q') || '',
+            sort: params.get('sort') || 'default',
+            category: params.get('category') || 'all',
+            type: params.get('type') || 'all'
+        };
 
-        fallbackServices.forEach(service => {
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${service.service}</td>
-                <td>${service.fee}</td>
-                <td>${service.description}</td>
-                <td><span class="status-badge ${service.status.toLowerCase()}">${service.status}</span></td>
-            `;
-            this.elements.standardFeesBody.appendChild(row);
-        });
-
-        // Premium versions (discounted)
-        fallbackServices.forEach(service => {
-            const discountedFee = this.applyDiscountToFee(service.fee);
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${service.service} (Premium)</td>
-                <td>${discountedFee}</td>
-                <td>${service.description}</td>
-                <td><span class="status-badge active">ACTIVE</span></td>
-            `;
-            this.elements.premiumFeesBody.appendChild(row);
-        });
-    },
-
-    // Add fallback business services
-    addFallbackBusinessServices() {
-        const fallbackServices = [
-            { service: 'Business API Access', fee: 'Custom', description: 'Volume-based pricing', status: 'ACTIVE' },
-            { service: 'Batch Payments', fee: '$0.50 per payment', description: 'Bulk payment processing', status: 'ACTIVE' },
-            { service: 'Priority Support', fee: '$99/month', description: '24/7 dedicated support', status: 'ACTIVE' },
-            { service: 'Settlement Services', fee: '0.1%', description: 'High-volume settlement', status: 'ACTIVE' }
-        ];
+        if (!els.feeSearch) return;
 
-        fallbackServices.forEach(service => {
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${service.service}</td>
-                <td>${service.fee}</td>
-                <td>${service.description}</td>
-                <td><span class="status-badge ${service.status.toLowerCase()}">${service.status}</span></td>
-            `;
-            this.elements.businessFeesBody.appendChild(row);
-        });
-    },
+        els.feeSearch.value = this.feeFilters.query;
+        els.feeSort.value = this.feeFilters.sort;
+        els.feeType.value = this.feeFilters.type;
 
-    // Initialize calculator functionality
-    initializeCalculator() {
-        const els = this.elements;
-        
-        // Add event listeners
-        ['input', 'change'].forEach(event => {
-            els.sendAmount.addEventListener(event, () => this.calculateSwap());
-            els.sendCurrency.addEventListener(event, () => this.calculateSwap());
-            els.receiveCurrency.addEventListener(event, () => this.calculateSwap());
-        });
-        
-        els.swapBtn.addEventListener('click', (e) => {
-            e.preventDefault();
-            this.swapCurrencies();
-        });
+        const update = () => {
+            this.feeFilters = {
+                query: els.feeSearch.value.trim(),
+                sort: els.feeSort.value,
+                category: els.feeCategory.value,
+                type: els.feeType.value
+            };
+            this.writeFeeFiltersToUrl();
+            if (this.feeSchedule) {
+                this.tiers.forEach(tier => this.populateTierTable(tier));
+            }
+        };
 
-        // Initial calculation with NGN as default receive currency
-        this.calculateSwap();
+        els.feeSearch.addEventListener('input', update);
+        [els.feeSort, els.feeCategory, els.feeType].forEach(el => el.addEventListener('change', update));
     },
 
-    // Calculate swap amounts
-    calculateSwap() {
-        const els = this.elements;
-        const sendAmount = parseFloat(els.sendAmount.value.replace(/,/g, '')) || 0;
-        const sendCurrency = els.sendCurrency.value;
-        const receiveCurrency = els.receiveCurrency.value;
+    // Offer every API category as a filter, keeping the current choice
+    populateCategoryFilter() {
+        const select = this.elements.feeCategory;
+        if (!select) return;
 
-        const rate = this.config.exchangeRates[sendCurrency]?.[receiveCurrency] || 1;
-        const fee = sendAmount * this.config.feePercentage;
-        const amountAfterFee = sendAmount - fee;
-        const receiveAmount = amountAfterFee * rate;
+        const categories = [...new Set([...this.feeSchedule.Customer, ...this.feeSchedule.Business]
+            .map(entry => entry.category))];
+        select.replaceChildren(
+            this.createNode('option', { text: this.t('fees.allCategories'), attrs: { value: 'all' } }),
+            ...categories.map(category => this.createNode('option', { text: category, attrs: { value: category } }))
+        );
 
-        // Format and display results
-        const feeFormatter = new Intl.NumberFormat('en-US', { 
-            style: 'currency', 
-            currency: sendCurrency,
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        });
-        
-        els.feeDisplay.textContent = `${feeFormatter.format(fee)} (${(this.config.feePercentage * 100).toFixed(2)}%)`;
-        els.rateDisplay.innerHTML = `1 ${sendCurrency} = ${rate.toFixed(4)} ${receiveCurrency} <span class="real-time-badge">Live</span>`;
-        
-        els.receiveAmount.value = receiveAmount.toLocaleString('en-US', {
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
+        select.value = categories.includes(this.feeFilters.category) ? this.feeFilters.category : 'all';
+    },
+
+    // Keep the filter state in the query string without adding history entries
+    writeFeeFiltersToUrl() {
+        const params = new URLSearchParams(window.location.search);
+        const { query, sort, category, type } = this.feeFilters;
+        const values = { q: query, sort: sort === 'default' ? '' : sort, category: category === 'all' ? '' : category, type: type === 'all' ? '' : type };
+
+        Object.entries(values).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+            else params.delete(key);
         });
 
-        this.flashElement(els.receiveAmount);
+        const search = params.toString();
+        history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
     },
 
-    // Swap currencies
-    swapCurrencies() {
-        const els = this.elements;
-        const tempCurrency = els.sendCurrency.value;
-        els.sendCurrency.value = els.receiveCurrency.value;
-        els.receiveCurrency.value = tempCurrency;
-        this.calculateSwap();
+    // Whether any search or filter is narrowing the tables
+    hasActiveFeeFilters() {
+        const { query, category, type } = this.feeFilters;
+        return Boolean(query) || category !== 'all' || type !== 'all';
     },
 
-    // Flash element to indicate update
-    flashElement(el) {
-        el.classList.add('value-updated');
-        setTimeout(() => el.classList.remove('value-updated'), 500);
+    // Whether an entry passes the current search and filters
+    matchesFeeFilters(entry) {
+        const { query, category, type } = this.feeFilters;
+        if (category !== 'all' && entry.category !== category) return false;
+        if (type !== 'all' && Fees.classifyFee(entry.rule) !== type) return false;
+        if (!query) return true;
+
+        const haystack = [entry.service, entry.category, entry.description, this.formatFeeRule(entry.rule)]
+            .join(' ')
+            .toLowerCase();
+        return query.toLowerCase().split(/\s+/).every(term => haystack.includes(term));
     },
 
-    // Initialize tabs
-    initializeTabs() {
-        this.elements.tabs.forEach(tab => {
-            tab.addEventListener('click', () => {
-                const targetId = tab.getAttribute('aria-controls');
-                const targetContent = document.getElementById(targetId);
-
-                // Update tab states
-                this.elements.tabs.forEach(t => {
-                    t.classList.remove('active');
-                    t.setAttribute('aria-selected', 'false');
+    // A comparable fee in USD: the fee on the reference amount, or the monthly cost of subscriptions
+    effectiveFee(rule) {
+        if (rule.type === 'recurring') {
+            return this.monthlyRecurringCost(rule, 'USD') ?? Infinity;
+        }
+        const fee = this.calculateFee(rule, this.config.sortReferenceAmount, 'USD');
+        return fee ? fee.amount : Infinity;
+    },
+
+    // Sort entries by the selected order; fees that cannot be priced go last
+    sortFeeEntries(entries) {
+        const sorted = [...entries];
+        switch (this.feeFilters.sort) {
+            case 'service':
+                return sorted.sort((a, b) => a.service.localeCompare(b.service));
+            case 'fee-asc':
+                return sorted.sort((a, b) => this.effectiveFee(a.rule) - this.effectiveFee(b.rule));
+            case 'fee-desc':
+                return sorted.sort((a, b) => {
+                    const feeA = this.effectiveFee(a.rule);
+                    const feeB = this.effectiveFee(b.rule);
+                    if (feeA === Infinity || feeB === Infinity) return feeA - feeB;
+                    return feeB - feeA;
                 });
-                this.elements.tabContents.forEach(tc => tc.classList.remove('active'));
-                
-                // Activate selected tab
-                tab.classList.add('active');
-                tab.setAttribute('aria-selected', 'true');
-                if (targetContent) {
-                    targetContent.classList.add('active');
-                }
-            });
-        });
+            default:
+                return sorted;
+        }
     },
 
-    // Initialize chart
-    initializeChart() {
-        const ctx = this.elements.chartCanvas.getContext('2d');
-        const currentRate = this.config.exchangeRates.USD.NGN;
-        
-        const chartData = {
-            labels: ['-6d', '-5d', '-4d', '-3d', '-2d', 'Yesterday', 'Today'],
-            datasets: [{
-                label: 'USD to NGN Exchange Rate',
-                data: [
-                    currentRate * 0.98, 
-                    currentRate * 0.99, 
-                    currentRate * 0.995, 
-                    currentRate * 1.0, 
-                    currentRate * 1.005, 
-                    currentRate * 1.01, 
-                    currentRate
-                ],
-                fill: true,
-                backgroundColor: 'rgba(255, 193, 7, 0.1)',
-                borderColor: '#FFC107',
-                tension: 0.4,
-                pointBackgroundColor: '#FFC107',
-                pointRadius: 3,
-                pointHoverRadius: 6
-            }]
-        };
+    /*
+     * Exports
+     *
+     * Each tier's full fee schedule (ignoring the table filters) downloads as CSV or
+     * JSON, stamped with where the fees came from and when. The calculator's result
+     * prints as a receipt, laid out by print.css.
+     */
 
-        new Chart(ctx, {
-            type: 'line',
-            data: chartData,
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: { display: false },
-                    tooltip: {
-                        callbacks: {
-                            label: (context) => `₦${context.parsed.y.toLocaleString()}`
-                        }
-                    }
-                },
-                scales: {
-                    y: {
-                        ticks: {
-                            callback: (value) => `₦${value.toLocaleString()}`
-                        }
-                    }
-                }
-            }
+    // One plain row per fee in a tier, in the table's default order
+    getTierExportRows(tier) {
+        const { source, fetchedAt } = this.feesSource;
+        return this.resolveTierEntries(tier).map(entry => {
+            const description = this.createNode('div');
+            description.appendChild(this.sanitizeDescription(entry.description));
+            return {
+                tier: tier.id,
+                segment: entry.segment,
+                category: entry.category,
+                service: entry.service,
+                fee: entry.rule.type === 'unknown' ? entry.fee : this.formatFeeRule(entry.rule),
+                publishedFee: entry.fee,
+                description: description.textContent.trim(),
+                source: source,
+                fetchedAt: fetchedAt ? new Date(fetchedAt).toISOString() : null
+            };
         });
     },
 
-    // Show/hide loading indicator
-    showLoading(show) {
-        if (this.elements.loadingIndicator) {
-            this.elements.loadingIndicator.style.display = show ? 'block' : 'none';
+    // Quote a CSV field, defusing values a spreadsheet would run as a formula
+    toCsvField(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return `"${text.replace(/"/g, '""')}"`;
+    },
+
+    // Serialize a tier's fee schedule as CSV or JSON
+    serializeTierExport(tier, format) {
+        const rows = this.getTierExportRows(tier);
+
+        if (format === 'json') {
+            const { source, fetchedAt } = this.feesSource;
+            return JSON.stringify({
+                tier: { id: tier.id, name: tier.name },
+                source: source,
+                fetchedAt: fetchedAt ? new Date(fetchedAt).toISOString() : null,
+                exportedAt: new Date().toISOString(),
+                fees: rows.map(({ tier, source, fetchedAt, ...fee }) => fee)
+            }, null, 2);
         }
+
+        const columns = [
+            ['tier', 'Tier'], ['segment', 'Segment'], ['category', 'Category'], ['service', 'Service'],
+            ['fee', 'Fee'], ['publishedFee', 'Published Fee'], ['description', 'Description'],
+            ['source', 'Source'], ['fetchedAt', 'Fetched At']
+        ];
+        return [
+            columns.map(([, label]) => this.toCsvField(label)).join(','),
+            ...rows.map(row => columns.map(([key]) => this.toCsvField(row[key])).join(','))
+        ].join('\r\n');
     },
 
-    // Show error message
-    showError(message) {
-        if (this.elements.errorDisplay) {
-            if (message) {
-                this.elements.errorDisplay.textContent = message;
-                this.elements.errorDisplay.style.display = 'block';
-                setTimeout(() => {
-                    this.elements.errorDisplay.style.display = 'none';
-                }, 5000);
-            } else {
-                this.elements.errorDisplay.style.display = 'none';
-            }
+    // Download a tier's fee schedule
+    exportTier(tier, format) {
+        if (!this.feeSchedule) {
+            this.showError(this.t('fees.exportLoading'));
+            return;
         }
-    }
-};
 
-// Initialize the app when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    console.log('DOM loaded, initializing app...');
-    App.init();
-});
\ No newline at end of file
+        const date = new Date().toISOString().slice(0, 10);
+        const content = this.serializeTierExport(tier, format);
+        // The byte order mark lets spreadsheets read symbols such as ₦ correctly
+        this.downloadFile(
+            `vitalswap-fees-${tier.id}-${date}.${format}`,
+            format === 'csv' ? `\uFEFF${content}` : content,
+            format === 'csv' ? 'text/csv' : 'application/json'
+        );
+    },
+
+    // Save text as a file through a temporary link
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = this.createNode('a', { attrs: { href: url, download: filename } });
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
+    // Reference for a receipt: the time plus random characters, e.g. VS-M2K9X1QA-3F9C0B
+    createReceiptReference() {
+        const bytes = new Uint8Array(3);
+        window.crypto.getRandomValues(bytes);
+        const random = [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+        return `VS-${Date.now().toString(36).toUpperCase()}-${random}`;
+    },
+
+    // Fill the receipt with the calculator's current result and open the print dialog
+    printReceipt() {
+        const quote = this.currentQuote;
+        const receipt = this.elements.receipt;
+        if (!receipt) return;
+        if (!quote || !quote.feeResult) {
+            this.showError(this.t('receipt.needsQuote'));
+            return;
+        }
+
+        const locale = this.getLocale();
+        const issuedAt = new Date();
+        const reference = this.createReceiptReference();
+        const locked = this.lockedQuote?.status === 'active' ? this.lockedQuote : null;
+        const lastUpdated = this.getRateFetchedAt(quote.sendCurrency, quote.receiveCurrency);
+        const money = (amount, currency) => this.formatMoney(amount, currency, { fixed: true });
+        const source = this.t(`source.${this.getRateSource(quote.sendCurrency, quote.receiveCurrency)}`);
+        const rate = quote.rate.toLocaleString(locale, { maximumSignificantDigits: 8 });
+
+        const rows = [
+            ['receipt.reference', reference],
+            ['receipt.issued', `${issuedAt.toLocaleString(locale)} (${issuedAt.toISOString()})`],
+            ['receipt.tier', quote.tier],
+            ['receipt.service', quote.service || this.t('receipt.standardFee')],
+            ['receipt.send', money(quote.sendAmount, quote.sendCurrency)],
+            ['receipt.fee', `${money(quote.fee, quote.sendCurrency)} (${this.formatFeeRule(quote.feeRule)})`],
+            ['receipt.principal', money(quote.principal, quote.sendCurrency)],
+            ['receipt.rate', `1 ${quote.sendCurrency} = ${rate} ${quote.receiveCurrency} (${source})`],
+            ['receipt.receive', money(quote.receiveAmount, quote.receiveCurrency)],
+            ['receipt.ratesAsOf', lastUpdated ? new Date(lastUpdated).toLocaleString(locale) : this.t('receipt.bundledRates')],
+            ['receipt.quote', locked
+                ? this.t('receipt.lockedUntil', { time: new Date(locked.expiresAt).toLocaleTimeString(locale) })
+                : this.t('receipt.indicative')]
+        ];
+
+        receipt.replaceChildren(
+            this.createNode('img', { className: 'receipt-logo', attrs: { src: './Vitalswap.png', alt: 'VitalSwap' } }),
+            this.createNode('h1', { text: this.t('receipt.title') }),
+            this.createNode('table', { className: 'receipt-table' }, [
+                this.createNode('tbody', {}, rows.map(([label, value]) => this.createNode('tr', {}, [
+                    this.createNode('th', { text: this.t(label), attrs: { scope: 'row' } }),
+                    this.createNode('td', { text: value })
+                ])))
+            ]),
+            this.createNode('p', {
+                className: 'receipt-note',
+                text: this.t('receipt.note')
+            })
+        );
+        this.lastReceipt = { reference: reference, issuedAt: issuedAt.toISOString() };
+
+        // print.css shows only the receipt while this class is set
+        document.body.classList.add('printing-receipt');
+        window.addEventListener('afterprint', () => document.body.classList.remove('printing-receipt'), { once: true });
+        window.print();
+    },
+
+    /*
+     * Safe rendering
+     *
+     * Fee content comes from the API, so everything the page renders is built as
+     * DOM nodes with text set through textContent. Descriptions may keep a small formatting
+     * subset (see sanitizeDescription); everything else is stripped.
+     */
+
+    // Create an element with a class, text and attributes, plus child nodes or strings
+    createNode(tag, options = {}, children = []) {
+        const node = document.createElement(tag);
+        if (options.className) node.className = options.className;
+        if (options.text !== undefined) node.textContent = options.text;
+        Object.entries(options.attrs || {}).forEach(([name, value]) => node.setAttribute(name, value));
+        children.forEach(child => {
+            if (child === null || child === undefined) return;
+            node.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+        });
+        return node;
+    },
+
+    // Keep only links, emphasis and line breaks from description markup, as a DocumentFragment
+    sanitizeDescription(html) {
+        const allowed = { A: 'a', B: 'strong', STRONG: 'strong', I: 'em', EM: 'em', BR: 'br' };
+        const dropped = new Set(['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'NOSCRIPT', 'SVG', 'MATH']);
+
+        // A template's content is inert: nothing in it loads or runs while we walk it
+        const template = document.createElement('template');
+        template.innerHTML = String(html);
+
+        const copy = (source, target) => {
+            source.childNodes.forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    target.appendChild(document.createTextNode(node.textContent));
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE || dropped.has(node.tagName.toUpperCase())) return;
+
+                const tag = allowed[node.tagName.toUpperCase()];
+                if (!tag) {
+                    // Unknown elements are unwrapped so their text survives
+                    copy(node, target);
+                    return;
+                }
+
+                const clean = document.createElement(tag);
+                if (tag === 'a') {
+                    const href = this.sanitizeUrl(node.getAttribute('href'));
+                    if (!href) {
+                        copy(node, target);
+                        return;
+                    }
+                    clean.setAttribute('href', href);
+                    clean.setAttribute('target', '_blank');
+                    clean.setAttribute('rel', 'noopener noreferrer');
+                }
+                copy(node, clean);
+                target.appendChild(clean);
+            });
+        };
+
+        const fragment = document.createDocumentFragment();
+        copy(template.content, fragment);
+        return fragment;
+    },
+
+    // Allow only http(s) and mailto links
+    sanitizeUrl(url) {
+        if (!url) return null;
+        try {
+            const parsed = new URL(url, window.location.href);
+            return ['http:', 'https:', 'mailto:'].includes(parsed.protocol) ? parsed.href : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    // Build a fee table row; the one rendering path for API, cached and fallback fees in every tier
+    renderFeeRow(entry) {
+        const description = this.createNode('td');
+        if (entry.description) {
+            description.appendChild(this.sanitizeDescription(entry.description));
+        }
+        if (!description.textContent.trim()) {
+            description.textContent = '-';
+        }
+
+        return this.createNode('tr', {}, [
+            this.createNode('td', {}, [entry.service, this.renderChangeMarker(entry)]),
+            this.renderFeeCell(entry.rule, entry.fee),
+            description,
+            this.createNode('td', {}, [this.createNode('span', { className: 'status-badge active', text: this.t('fees.active') })])
+        ]);
+    },
+
+    // Render the fee cell for a rule, flagging fees that could not be parsed
+    renderFeeCell(rule, rawFee) {
+        if (rule.type === 'unknown') {
+            return this.createNode('td', {
+                className: 'fee-unparsed',
+                text: rawFee,
+                attrs: { title: this.t('fees.unparsed') }
+            });
+        }
+        return this.createNode('td', { text: this.formatFeeRule(rule) });
+    },
+
+    /*
+     * Pricing
+     *
+     * The fee rule engine (lib/fees.js), exact money arithmetic (lib/money.js) and swap math
+     * (lib/quote.js) are plain functions with no DOM or network access. The page prices
+     * against its current registry, rate table and `config.rounding`, bundled by getPricing.
+     */
+
+    // The pricing context for the lib/ functions: { currencies, rates, rounding }
+    getPricing() {
+        return {
+            currencies: this.config.currencies,
+            rates: this.config.exchangeRates,
+            rounding: this.config.rounding
+        };
+    },
+
+    // Fees.parseFeeRule against this page's registry
+    parseFeeRule(feeText) {
+        return Fees.parseFeeRule(this.config.currencies, feeText);
+    },
+
+    // Currencies.getPrecision over this page's registry
+    getPrecision(currency) {
+        return Currencies.getPrecision(this.config.currencies, currency);
+    },
+
+    // Money.convertAmount at the pricing from getPricing()
+    convertAmount(amount, fromCurrency, toCurrency) {
+        return Money.convertAmount(this.getPricing(), amount, fromCurrency, toCurrency);
+    },
+
+    // Fees.calculateFee at the pricing from getPricing()
+    calculateFee(rule, amount, currency) {
+        return Fees.calculateFee(this.getPricing(), rule, amount, currency);
+    },
+
+    // Format a money amount with its registry symbol; whole amounts drop the minor unit unless `fixed`
+    formatMoney(amount, currency, { fixed = false } = {}) {
+        const entry = this.getCurrency(currency);
+        const precision = entry ? entry.precision : 2;
+        const number = Math.abs(amount).toLocaleString(this.getLocale(), {
+            minimumFractionDigits: fixed || !Number.isInteger(amount) ? precision : 0,
+            maximumFractionDigits: precision
+        });
+        return `${amount < 0 ? '-' : ''}${entry ? entry.symbol : `${currency} `}${number}`;
+    },
+
+    // Format a percentage without trailing zeros
+    formatPercent(percent) {
+        return `${percent.toLocaleString(this.getLocale(), { maximumFractionDigits: 3 })}%`;
+    },
+
+    // Turn a parsed fee rule back into display text for the fee tables
+    formatFeeRule(rule) {
+        const money = (value) => this.formatMoney(value.amount, value.currency);
+
+        switch (rule.type) {
+            case 'free':
+                return this.t('rule.free');
+            case 'percentage':
+                return this.formatPercent(rule.percent);
+            case 'flat':
+                return rule.unit ? this.t('rule.per', { amount: money(rule), unit: this.t(`unit.${rule.unit}`) }) : money(rule);
+            case 'capped': {
+                const bounds = [];
+                if (rule.min) bounds.push(this.t('rule.min', { amount: money(rule.min) }));
+                if (rule.max) bounds.push(this.t('rule.max', { amount: money(rule.max) }));
+                return `${this.formatPercent(rule.percent)} (${bounds.join(', ')})`;
+            }
+            case 'tiered':
+                return rule.bands.map(band => band.upTo
+                    ? this.t('rule.upTo', { rule: this.formatFeeRule(band.rule), amount: money(band.upTo) })
+                    : this.t('rule.above', { rule: this.formatFeeRule(band.rule) })).join('; ');
+            case 'recurring':
+                return this.t('rule.recurring', { amount: money(rule), period: this.t(`period.${rule.period}`) });
+            case 'negotiated':
+                return this.t('rule.custom');
+            default:
+                return rule.raw || this.t('rule.unknown');
+        }
+    },
+
+    // Save a successful API response as the last-known-good snapshot
+    saveSnapshot(kind, data) {
+        const snapshot = {
+            schemaVersion: this.config.snapshotSchemaVersion,
+            fetchedAt: Date.now(),
+            data: data
+        };
+
+        try {
+            localStorage.setItem(this.config.snapshotKeys[kind], JSON.stringify(snapshot));
+        } catch (error) {
+            console.warn(`Could not save ${kind} snapshot:`, error);
+        }
+    },
+
+    // Read a saved snapshot, ignoring ones written by an older schema
+    loadSnapshot(kind) {
+        try {
+            const snapshot = JSON.parse(localStorage.getItem(this.config.snapshotKeys[kind]));
+            if (!snapshot || snapshot.schemaVersion !== this.config.snapshotSchemaVersion) {
+                return null;
+            }
+            return snapshot;
+        } catch (error) {
+            console.warn(`Could not read ${kind} snapshot:`, error);
+            return null;
+        }
+    },
+
+    // Apply the last-known-good exchange rates, tagged as cached
+    useCachedRates() {
+        const snapshot = this.loadSnapshot('rates');
+        const quotes = cachedQuotes(snapshot, { referenceRates: this.referenceRates, sanityFactor: this.config.rateSanityFactor });
+        if (quotes.length === 0) return false;
+
+        this.showRates({ source: 'cached', fetchedAt: snapshot.fetchedAt, quotes: quotes });
+        return true;
+    },
+
+    // Describe the data being shown while an API is unavailable
+    describeFallback() {
+        const fees = this.feesSource.source === 'api' ? this.t('fallback.liveFees')
+            : this.feesSource.source === 'cached' ? this.t('fallback.savedFees', { age: this.formatAge(this.feesSource.fetchedAt) })
+            : this.t('fallback.defaultFees');
+        // Partial when the last live load did not quote every pair itself
+        const partial = this.getCurrencyPairs().some(([from, to]) => this.getRateSource(from, to) !== 'live' || this.missedLastLoad(from, to));
+        const rates = this.dataStatus.source === 'live' ? this.t(partial ? 'fallback.partialRates' : 'fallback.liveRates')
+            : this.dataStatus.source === 'cached' ? this.t('fallback.savedRates', { age: this.formatAge(this.dataStatus.lastUpdated) })
+            : this.t('fallback.defaultRates');
+        return this.t('fallback.message', { fees: fees, rates: rates });
+    },
+
+    // Describe how long ago a timestamp was, e.g. "5 min ago" or "3 days ago"
+    formatAge(timestamp) {
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return this.t('age.justNow');
+        if (minutes < 60) return this.t('age.minutes', { count: minutes });
+
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return this.t('age.hours', { count: hours });
+
+        return this.t('age.days', { count: Math.floor(hours / 24) });
+    },
+
+    // Use fallback data when APIs fail: the last-known-good snapshot, then the bundled defaults
+    useFallbackData() {
+        if (this.dataStatus.source !== 'cached') {
+            this.useCachedRates();
+        }
+        this.useFallbackFees();
+    },
+
+    // Show the last-known-good fee schedule, or the bundled one
+    useFallbackFees() {
+        const snapshot = this.feesSource.source === 'cached' ? null : this.loadSnapshot('fees');
+        this.showFees(chooseFallbackFees(this.config.currencies, snapshot, this.config.fallbackFees));
+    },
+
+    /*
+     * Tiers
+     *
+     * The tier configuration shape is described in lib/tiers.js, which also checks it
+     * and prices the fee schedule for each tier.
+     */
+
+    // Load the tier configuration from the data source (API, then tiers.json), then the bundled default
+    async loadTierConfig() {
+        try {
+            const tiers = this.validateTierConfig(await this.dataSource.fetchTiers());
+            if (tiers) {
+                console.log(`Loaded ${tiers.length} tiers`);
+                return tiers;
+            }
+        } catch (error) {
+            console.warn('Could not load tier configuration:', error);
+        }
+
+        console.log('Using default tier configuration');
+        return this.config.defaultTiers;
+    },
+
+    // Check a tier configuration, returning its usable tiers or null
+    validateTierConfig(tierData) {
+        const { tiers, problems } = Tiers.validateTierConfig(this.config.currencies, tierData);
+        this.validationProblems.tiers = problems;
+        if (problems.length > 0) {
+            console.warn('Tier configuration problems:', problems);
+        }
+        return tiers;
+    },
+
+    // Tiers.resolveTierEntries over the loaded fee schedule
+    resolveTierEntries(tier) {
+        return Tiers.resolveTierEntries(this.config.currencies, this.feeSchedule, tier);
+    },
+
+    // Build one tab and panel per tier
+    renderTierTabs() {
+        const els = this.elements;
+        els.tabList.replaceChildren();
+        els.tabPanels.replaceChildren();
+        this.tierBodies = {};
+        const linked = this.getHashTier();
+
+        this.tiers.forEach((tier, index) => {
+            const active = linked ? tier === linked : index === 0;
+
+            const tab = this.createNode('button', {
+                className: `tab-link${active ? ' active' : ''}`,
+                attrs: {
+                    id: `${tier.id}-tab-label`,
+                    type: 'button',
+                    role: 'tab',
+                    'aria-selected': String(active),
+                    'aria-controls': `${tier.id}-tab`,
+                    tabindex: active ? '0' : '-1'
+                }
+            }, [tier.name, this.createNode('span', { className: 'tab-count' })]);
+            els.tabList.appendChild(tab);
+
+            const panel = this.createNode('div', {
+                className: `tab-content${active ? ' active' : ''}`,
+                attrs: { id: `${tier.id}-tab`, role: 'tabpanel', 'aria-labelledby': tab.id, tabindex: '0' }
+            });
+            panel.append(
+                this.createNode('div', { className: 'fee-loading', attrs: { 'data-i18n': 'fees.loading' } }),
+                this.createNode('table', { attrs: { style: 'display: none;' } }, [
+                    this.createNode('thead', {}, [
+                        this.createNode('tr', {}, ['fees.service', 'fees.fee', 'fees.description', 'fees.status']
+                            .map(key => this.createNode('th', { attrs: { 'data-i18n': key } })))
+                    ]),
+                    this.createNode('tbody')
+                ])
+            );
+            panel.prepend(this.createNode('div', { className: 'fee-export' }, ['csv', 'json'].map(format => {
+                const button = this.createNode('button', {
+                    className: 'link-btn',
+                    attrs: {
+                        type: 'button',
+                        'data-i18n': 'fees.export',
+                        'data-i18n-attr': 'title:fees.exportTitle',
+                        'data-i18n-params': JSON.stringify({ tier: tier.name, format: format.toUpperCase() })
+                    }
+                });
+                button.addEventListener('click', () => this.exportTier(tier, format));
+                return button;
+            })));
+            this.translatePage(panel);
+            els.tabPanels.appendChild(panel);
+            this.tierBodies[tier.id] = panel.querySelector('tbody');
+        });
+
+        els.tabs = els.tabList.querySelectorAll('.tab-link');
+        els.tabContents = els.tabPanels.querySelectorAll('.tab-content');
+        els.feeTables = els.tabPanels.querySelectorAll('table');
+        els.feeLoadings = els.tabPanels.querySelectorAll('.fee-loading');
+
+        this.populateTierSelect();
+    },
+
+    // Fill the calculator's tier selector
+    populateTierSelect() {
+        const select = this.elements.tierSelect;
+        if (!select) return;
+
+        select.replaceChildren(...this.tiers.map(tier => this.createNode('option', { text: tier.name, attrs: { value: tier.id } })));
+    },
+
+    // Get the tier picked in the calculator
+    getSelectedTier() {
+        const id = this.elements.tierSelect?.value;
+        return this.tiers.find(tier => tier.id === id) || this.tiers[0];
+    },
+
+    // Fill the calculator's service selector with the selected tier's services
+    populateServiceSelect() {
+        const select = this.elements.serviceSelect;
+        if (!select || !this.feeSchedule) return;
+
+        const previous = select.value;
+        const entries = this.resolveTierEntries(this.getSelectedTier());
+        select.replaceChildren();
+
+        // Group the services by their API category
+        const groups = new Map();
+        entries.forEach(entry => {
+            if (!groups.has(entry.category)) {
+                const group = this.createNode('optgroup', { attrs: { label: entry.category } });
+                groups.set(entry.category, group);
+                select.appendChild(group);
+            }
+            groups.get(entry.category).appendChild(this.createNode('option', {
+                text: `${entry.service} (${this.formatFeeRule(entry.rule)})`,
+                attrs: { value: entry.id }
+            }));
+        });
+
+        // Keep the user's choice across refreshes, otherwise default to currency conversion
+        const fallback = entries.find(entry => /currency conversion/i.test(entry.service)) || entries[0];
+        const selected = entries.find(entry => entry.id === previous) || fallback;
+        if (selected) {
+            select.value = selected.id;
+        }
+    },
+
+    // Get the fee schedule entry picked in the service selector, priced for the selected tier
+    getSelectedService() {
+        const select = this.elements.serviceSelect;
+        if (!select || !this.feeSchedule) return null;
+
+        return this.resolveTierEntries(this.getSelectedTier())
+            .find(entry => entry.id === select.value) || null;
+    },
+
+    // Initialize calculator functionality
+    initializeCalculator() {
+        const els = this.elements;
+
+        // Whichever amount the user typed last drives the calculation
+        this.calculationMode = 'send';
+        
+        // Regroup digits as the user types, before the amount is recalculated
+        [els.sendAmount, els.receiveAmount].forEach(input => {
+            input.addEventListener('input', () => this.formatAmountInput(input));
+        });
+
+        // Add event listeners
+        ['input', 'change'].forEach(event => {
+            els.sendAmount.addEventListener(event, () => {
+                this.calculationMode = 'send';
+                this.calculateSwap();
+            });
+            els.receiveAmount.addEventListener(event, () => {
+                this.calculationMode = 'receive';
+                this.calculateSwap();
+            });
+            els.sendCurrency.addEventListener(event, () => this.calculateSwap());
+            els.receiveCurrency.addEventListener(event, () => this.calculateSwap());
+        });
+
+        if (els.serviceSelect) {
+            els.serviceSelect.addEventListener('change', () => this.calculateSwap());
+        }
+
+        if (els.tierSelect) {
+            els.tierSelect.addEventListener('change', () => {
+                this.populateServiceSelect();
+                this.calculateSwap();
+            });
+        }
+        
+        els.swapBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.swapCurrencies();
+        });
+
+        if (els.copyLinkBtn) {
+            els.copyLinkBtn.addEventListener('click', () => this.copyShareLink());
+        }
+        if (els.printReceiptBtn) {
+            els.printReceiptBtn.addEventListener('click', () => this.printReceipt());
+        }
+
+        // The outputs' placeholder text is only translated until the first quote replaces it
+        [els.feeDisplay, els.principalDisplay, els.totalDisplay, els.rateDisplay].forEach(el => el?.removeAttribute('data-i18n'));
+
+        this.initializeQuoteLock();
+        this.applyLinkedState();
+
+        // Initial calculation with NGN as default receive currency
+        this.calculateSwap();
+        this.postToParent({ type: 'vitalswap:ready' });
+    },
+
+    /*
+     * Shareable calculator state
+     *
+     * The calculator is mirrored into the query string, so a link reproduces a quote:
+     *   ?amount=500&from=GBP&to=NGN&tier=business&service=Currency%20Conversion&mode=receive
+     *   amount  - plain number with a "." decimal point, whatever the locale
+     *   from/to - currency codes from the registry
+     *   tier    - tier id; service - service name (or its full id)
+     *   mode    - "receive" when the amount is what the recipient gets; sending is the default
+     * Unknown values are ignored and the usual defaults are used instead.
+     */
+
+    // Read the calculator state from the query string
+    readCalculatorState() {
+        const params = new URLSearchParams(window.location.search);
+        const currency = (key) => {
+            const code = (params.get(key) || '').toUpperCase();
+            return this.getCurrency(code) ? code : null;
+        };
+        const amount = params.get('amount');
+
+        return {
+            amount: /^\d+(\.\d+)?$/.test(amount || '') ? Number(amount) : null,
+            from: currency('from'),
+            to: currency('to'),
+            tier: params.get('tier'),
+            service: params.get('service'),
+            mode: params.get('mode') === 'receive' ? 'receive' : 'send'
+        };
+    },
+
+    // Apply a shared link's tier, service and amount once the selects are filled
+    applyLinkedState() {
+        const els = this.elements;
+        const state = this.linkedState;
+        if (!state) return;
+
+        if (state.tier && els.tierSelect && this.tiers.some(tier => tier.id === state.tier)) {
+            els.tierSelect.value = state.tier;
+            this.populateServiceSelect();
+        }
+
+        if (state.service && els.serviceSelect && this.feeSchedule) {
+            const entries = this.resolveTierEntries(this.getSelectedTier());
+            const wanted = state.service.toLowerCase();
+            const match = entries.find(entry => entry.id === state.service)
+                || entries.find(entry => entry.service.toLowerCase() === wanted);
+            if (match) els.serviceSelect.value = match.id;
+        }
+
+        if (state.amount !== null) {
+            this.calculationMode = state.mode;
+            const receiving = state.mode === 'receive';
+            const input = receiving ? els.receiveAmount : els.sendAmount;
+            input.value = this.formatAmount(state.amount, receiving ? els.receiveCurrency.value : els.sendCurrency.value);
+            (receiving ? els.sendAmount : els.receiveAmount).value = '';
+        }
+    },
+
+    // The calculator as it stands; amount is null while the typed amount is invalid
+    getCalculatorState() {
+        const els = this.elements;
+        const receiving = this.calculationMode === 'receive';
+        const entered = this.parseAmount(
+            (receiving ? els.receiveAmount : els.sendAmount).value,
+            receiving ? els.receiveCurrency.value : els.sendCurrency.value
+        );
+        const service = this.getSelectedService();
+
+        return {
+            amount: entered.error ? null : entered.amount,
+            from: els.sendCurrency.value,
+            to: els.receiveCurrency.value,
+            tier: this.getSelectedTier()?.id || null,
+            service: service ? service.service : null,
+            mode: this.calculationMode
+        };
+    },
+
+    // Write the calculator state into query parameters, dropping the ones that do not apply
+    setCalculatorParams(params) {
+        const state = this.getCalculatorState();
+        const values = {
+            amount: state.amount === null ? '' : String(state.amount),
+            from: state.from,
+            to: state.to,
+            tier: state.tier,
+            service: state.service,
+            mode: state.mode === 'receive' ? 'receive' : ''
+        };
+
+        Object.entries(values).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+            else params.delete(key);
+        });
+        return params;
+    },
+
+    // Keep the address bar in step with the calculator, next to the fee filters
+    writeCalculatorStateToUrl() {
+        const params = this.setCalculatorParams(new URLSearchParams(window.location.search));
+        const search = params.toString();
+        history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+    },
+
+    // A link to the full page with just the calculator state
+    getShareLink() {
+        const params = this.setCalculatorParams(new URLSearchParams());
+        return `${window.location.origin}${window.location.pathname}?${params.toString()}`;
+    },
+
+    // Copy the share link, falling back to a prompt where the clipboard is unavailable
+    async copyShareLink() {
+        const link = this.getShareLink();
+        const button = this.elements.copyLinkBtn;
+
+        try {
+            await navigator.clipboard.writeText(link);
+        } catch (error) {
+            window.prompt(this.t('share.prompt'), link);
+            return;
+        }
+
+        button.textContent = this.t('share.copied');
+        clearTimeout(this.copyLinkTimer);
+        this.copyLinkTimer = setTimeout(() => {
+            button.textContent = this.t('share.copy');
+        }, 2000);
+    },
+
+    /*
+     * Embedding
+     *
+     * Add embed=1 to a calculator link to show only the calculator card, for an iframe:
+     *   <iframe src="https://example.com/?embed=1&amount=500&from=GBP&to=NGN&tier=business"></iframe>
+     *
+     * Add lang=fr (any code in config.languages) to show the embed in that language.
+     *
+     * The embed posts messages to its parent window. Add origin=https://partner.example to
+     * send them to that origin only; otherwise any parent receives them.
+     *   { type: 'vitalswap:ready', version: 1, height }
+     *       once, after the first quote
+     *   { type: 'vitalswap:quote', version: 1, height, link, quote, error }
+     *       after every recalculation. `quote` is null when nothing can be priced, and
+     *       `error` then says why. Otherwise `quote` is:
+     *       { mode, sendAmount, sendCurrency, receiveAmount, receiveCurrency, rate,
+     *         rateSource, fee, principal, tier, service }
+     *       Amounts are numbers in major units, rounded to each currency's minor unit;
+     *       rateSource is live, derived, cached or fallback.
+     * `height` is the page height in pixels, for sizing the iframe; `link` opens the
+     * same quote on the full page.
+     */
+
+    // Switch to the calculator-only layout when the page is embedded
+    initializeEmbed() {
+        const params = new URLSearchParams(window.location.search);
+        this.embedded = ['1', 'true'].includes(params.get('embed'));
+        this.embedOrigin = '*';
+
+        if (!this.embedded) return;
+        document.body.classList.add('embed');
+
+        if (params.get('origin')) {
+            try {
+                this.embedOrigin = new URL(params.get('origin')).origin;
+            } catch (error) {
+                console.warn('Ignoring invalid embed origin:', params.get('origin'));
+            }
+        }
+    },
+
+    // Post a message to the embedding page, if there is one
+    postToParent(message) {
+        if (!this.embedded || window.parent === window) return;
+        window.parent.postMessage({
+            ...message,
+            version: 1,
+            height: document.documentElement.scrollHeight
+        }, this.embedOrigin);
+    },
+
+    // Share the calculator's latest result: the address bar, and the parent page when embedded
+    publishQuote(error = null) {
+        this.writeCalculatorStateToUrl();
+
+        const quote = this.currentQuote;
+        if (!quote || !quote.feeResult) {
+            const reason = error || (quote
+                ? this.t('embed.pricedIndividually', { service: quote.service || this.t('embed.thisService') })
+                : this.t('embed.enterAmount'));
+            this.postToParent({ type: 'vitalswap:quote', link: this.getShareLink(), quote: null, error: reason });
+            return;
+        }
+
+        this.postToParent({
+            type: 'vitalswap:quote',
+            link: this.getShareLink(),
+            error: null,
+            quote: {
+                mode: this.calculationMode,
+                sendAmount: quote.sendAmount,
+                sendCurrency: quote.sendCurrency,
+                receiveAmount: quote.receiveAmount,
+                receiveCurrency: quote.receiveCurrency,
+                rate: quote.rate,
+                rateSource: this.getRateSource(quote.sendCurrency, quote.receiveCurrency),
+                fee: quote.fee,
+                principal: quote.principal,
+                tier: this.getSelectedTier()?.id || null,
+                service: quote.service
+            }
+        });
+    },
+
+    /*
+     * Languages
+     *
+     * Interface text comes from the message catalogs in i18n.js, looked up by key with t().
+     * Static markup names its key in data-i18n (text) or data-i18n-attr ("title:key;aria-label:key"),
+     * with optional JSON data-i18n-params; everything built in script calls t() as it renders.
+     * The language comes from ?lang, then the saved choice, then the browser, then English.
+     * Only the switcher saves a choice, so an embed's ?lang does not change the full page.
+     */
+
+    // Pick the interface language and wire up the switcher
+    initializeLanguage() {
+        const supported = (code) => this.config.languages.some(language => language.code === code);
+        let saved = null;
+        try {
+            saved = localStorage.getItem(this.config.languageStorageKey);
+        } catch (error) {
+            console.warn('Could not read the saved language:', error);
+        }
+        const browser = (navigator.languages || [navigator.language])
+            .filter(Boolean)
+            .map(tag => tag.split('-')[0].toLowerCase());
+        const requested = new URLSearchParams(window.location.search).get('lang');
+
+        this.language = [requested, saved, ...browser].find(supported) || 'en';
+
+        const select = this.elements.languageSelect;
+        if (select) {
+            select.replaceChildren(...this.config.languages.map(language => this.createNode('option', {
+                text: language.name,
+                attrs: { value: language.code, lang: language.code }
+            })));
+            select.addEventListener('change', () => this.setLanguage(select.value));
+        }
+        this.applyLanguage();
+    },
+
+    // Look up a message in the current language, falling back to English and then the key itself.
+    // {name} placeholders are filled from params; numbers are formatted for the locale, and a
+    // message with plural forms is picked by params.count
+    t(key, params = {}) {
+        const catalogs = typeof I18n === 'undefined' ? {} : I18n;
+        let message = catalogs[this.language]?.[key] ?? catalogs.en?.[key] ?? key;
+
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(this.language).select(params.count ?? 0);
+            message = message[form] ?? message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            const value = params[name];
+            if (value === undefined || value === null) return placeholder;
+            return typeof value === 'number' ? value.toLocaleString(this.getLocale()) : String(value);
+        });
+    },
+
+    // Translate the static text under root from its data-i18n attributes
+    translatePage(root = document) {
+        const params = (el) => (el.dataset.i18nParams ? JSON.parse(el.dataset.i18nParams) : {});
+
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = this.t(el.dataset.i18n, params(el));
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+            el.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                if (attribute && key) el.setAttribute(attribute, this.t(key, params(el)));
+            });
+        });
+    },
+
+    // Tag the document with the current language and translate its static text
+    applyLanguage() {
+        document.documentElement.lang = this.language;
+        if (this.elements.languageSelect) {
+            this.elements.languageSelect.value = this.language;
+        }
+        this.translatePage();
+    },
+
+    // Switch language at runtime, remember the choice and re-render everything built in script
+    setLanguage(code) {
+        if (code === this.language || !this.config.languages.some(language => language.code === code)) return;
+
+        const els = this.elements;
+        this.language = code;
+        try {
+            localStorage.setItem(this.config.languageStorageKey, code);
+        } catch (error) {
+            console.warn('Could not save the language:', error);
+        }
+        this.applyLanguage();
+
+        if (this.feeSchedule) {
+            this.populateCategoryFilter();
+            this.tiers.forEach(tier => this.populateTierTable(tier));
+            this.populateServiceSelect();
+            this.renderAdvisorInputs();
+        }
+
+        // A locked quote keeps its figures and is only re-rendered in the new language
+        if (this.lockedQuote && this.currentQuote) {
+            const quote = this.currentQuote;
+            els.sendAmount.value = this.formatAmount(quote.sendAmount, quote.sendCurrency);
+            els.receiveAmount.value = this.formatAmount(quote.receiveAmount, quote.receiveCurrency);
+            this.renderQuoteBreakdown(quote);
+            this.renderLockedQuoteStatus();
+        } else if (this.calculationMode) {
+            this.calculateSwap();
+        }
+        this.updateChart();
+    },
+
+    /*
+     * Amount input
+     *
+     * Amounts are typed and shown with the locale's grouping and decimal separators.
+     * Fields are regrouped as the user types, and anything that is not a plain
+     * number in that locale is rejected with a message under the field.
+     */
+
+    // Locale for numbers and dates: the configured one, else the browser's, whatever the interface language
+    getLocale() {
+        return this.config.locale || navigator.language || this.language;
+    },
+
+    // Grouping and decimal separators of the current locale
+    getSeparators() {
+        const parts = new Intl.NumberFormat(this.getLocale()).formatToParts(11111.1);
+        const find = (type) => parts.find(part => part.type === type)?.value;
+        return { group: find('group') || ',', decimal: find('decimal') || '.' };
+    },
+
+    // Whether a character groups digits; any space counts where the locale groups with spaces
+    isGroupSeparator(char, group) {
+        return char === group || (/\s/.test(group) && /\s/.test(char));
+    },
+
+    // Parse an amount typed into one of the calculator fields: { amount, error }, error null when valid
+    parseAmount(text, currency) {
+        const { group, decimal } = this.getSeparators();
+        const value = text.trim();
+        if (!value) return { amount: 0, error: null };
+
+        let whole = '';
+        let fraction = null;
+        for (const char of value) {
+            if (/\d/.test(char)) {
+                if (fraction === null) whole += char;
+                else fraction += char;
+            } else if (char === decimal && fraction === null) {
+                fraction = '';
+            } else if (!this.isGroupSeparator(char, group) || fraction !== null) {
+                return { amount: 0, error: this.t('amount.invalid', { value: value }) };
+            }
+        }
+        if (!whole && !fraction) {
+            return { amount: 0, error: this.t('amount.invalid', { value: value }) };
+        }
+
+        const precision = this.getPrecision(currency);
+        if (fraction && fraction.length > precision) {
+            return {
+                amount: 0,
+                error: precision === 0
+                    ? this.t('amount.noDecimals', { currency: currency })
+                    : this.t('amount.tooManyDecimals', { currency: currency, count: precision })
+            };
+        }
+        return { amount: Number(`${whole || '0'}.${fraction || '0'}`), error: null };
+    },
+
+    // Format an amount for one of the calculator fields, to the currency's minor unit
+    formatAmount(amount, currency) {
+        const precision = this.getPrecision(currency);
+        return amount.toLocaleString(this.getLocale(), {
+            minimumFractionDigits: precision,
+            maximumFractionDigits: precision
+        });
+    },
+
+    // Regroup the digits of an amount field as the user types, keeping the caret beside the same digit
+    formatAmountInput(input) {
+        const { group, decimal } = this.getSeparators();
+        const text = input.value;
+        const pattern = new RegExp(`^[\\d\\s${Fees.escapeRegExp(group)}]*(${Fees.escapeRegExp(decimal)}\\d*)?$`);
+        // Leave anything else alone; parseAmount will explain what is wrong with it
+        if (!pattern.test(text)) return;
+
+        const decimalAt = text.indexOf(decimal);
+        const digits = (decimalAt === -1 ? text : text.slice(0, decimalAt)).replace(/\D/g, '');
+        if (!digits) return;
+
+        const formatted = BigInt(digits).toLocaleString(this.getLocale()) + (decimalAt === -1 ? '' : text.slice(decimalAt));
+        if (formatted === text) return;
+
+        // Count the characters before the caret that survive regrouping, then find the same spot
+        const caret = input.selectionStart ?? text.length;
+        const droppedZeros = digits.length - String(BigInt(digits)).length;
+        let remaining = [...text.slice(0, caret)].filter(char => !this.isGroupSeparator(char, group)).length;
+        remaining = Math.max(0, remaining - droppedZeros);
+
+        let position = 0;
+        while (position < formatted.length && remaining > 0) {
+            if (!this.isGroupSeparator(formatted[position], group)) remaining--;
+            position++;
+        }
+        input.value = formatted;
+        input.setSelectionRange(position, position);
+    },
+
+    // Smallest and largest amount that can be sent in a currency, narrowed by the service's own limits
+    getAmountLimits(currency, service) {
+        const base = this.getCurrency(currency)?.limits || {};
+        const own = (service && this.config.serviceLimits[service]?.[currency]) || {};
+        return {
+            min: Math.max(base.min ?? 0, own.min ?? 0),
+            max: Math.min(base.max ?? Infinity, own.max ?? Infinity)
+        };
+    },
+
+    // Check the amount sent against its limits, returning a message or null
+    checkAmountLimits(amount, currency, service) {
+        // An empty field is not an error, just nothing to price yet
+        if (amount === 0) return null;
+
+        const { min, max } = this.getAmountLimits(currency, service);
+        const suffix = service ? 'Service' : '';
+        if (amount < min) return this.t(`amount.min${suffix}`, { service: service, amount: this.formatMoney(min, currency) });
+        if (amount > max) return this.t(`amount.max${suffix}`, { service: service, amount: this.formatMoney(max, currency) });
+        return null;
+    },
+
+    // Show or clear the validation message under an amount field
+    setFieldError(input, message) {
+        const error = document.getElementById(`${input.id}-error`);
+        input.setAttribute('aria-invalid', String(Boolean(message)));
+        if (error) {
+            error.textContent = message || '';
+            error.hidden = !message;
+        }
+    },
+
+    // Calculate swap amounts in whichever direction the user is typing
+    calculateSwap() {
+        const els = this.elements;
+        const sendCurrency = els.sendCurrency.value;
+        const receiveCurrency = els.receiveCurrency.value;
+        const service = this.getSelectedService();
+        const feeRule = service ? service.rule : this.config.feeRule;
+        const reverse = this.calculationMode === 'receive';
+
+        // Only the field being typed in is validated; the other one is an output
+        const input = reverse ? els.receiveAmount : els.sendAmount;
+        this.setFieldError(reverse ? els.sendAmount : els.receiveAmount, null);
+        const entered = this.parseAmount(input.value, reverse ? receiveCurrency : sendCurrency);
+        this.setFieldError(input, entered.error);
+        if (entered.error) {
+            this.clearQuoteOutputs();
+            this.publishQuote(entered.error);
+            return;
+        }
+
+        let quote;
+        try {
+            quote = reverse
+                ? Quote.computeReverseQuote(this.getPricing(), entered.amount, sendCurrency, receiveCurrency, feeRule)
+                : Quote.computeQuote(this.getPricing(), entered.amount, sendCurrency, receiveCurrency, feeRule);
+        } catch (error) {
+            // getRate throws for pairs without a rate
+            console.warn(error);
+            const message = this.t('calculator.noRate', { from: sendCurrency || '?', to: receiveCurrency || '?' });
+            this.showUnavailableQuote(message);
+            this.publishQuote(message);
+            return;
+        }
+        const { feeResult, sendAmount } = quote;
+
+        const limitError = this.checkAmountLimits(sendAmount, sendCurrency, service ? service.service : null);
+        this.setFieldError(input, limitError);
+        if (limitError) {
+            this.clearQuoteOutputs();
+            this.publishQuote(limitError);
+            return;
+        }
+        this.currentQuote = { ...quote, service: service ? service.service : null, tier: this.getSelectedTier().name };
+        this.renderQuoteBreakdown(quote);
+        
+        // Only rewrite the field the user is not typing in.
+        // Negotiated or unparsed fees cannot be priced, so do not show a misleading amount
+        if (reverse) {
+            els.sendAmount.value = feeResult ? this.formatAmount(sendAmount, sendCurrency) : '';
+            this.flashElement(els.sendAmount);
+        } else {
+            els.receiveAmount.value = feeResult ? this.formatAmount(quote.receiveAmount, receiveCurrency) : '';
+            this.flashElement(els.receiveAmount);
+        }
+
+        this.announceQuote(quote);
+        this.publishQuote();
+    },
+
+    // Show a quote's fee, amount converted, total and rate
+    renderQuoteBreakdown(quote) {
+        const els = this.elements;
+        const { rate, feeRule, feeResult, fee, sendAmount, sendCurrency, receiveCurrency } = quote;
+        const money = (amount) => this.formatMoney(amount, sendCurrency, { fixed: true });
+
+        if (!feeResult) {
+            els.feeDisplay.textContent = this.t('calculator.contactUs', { rule: this.formatFeeRule(feeRule) });
+        } else if (feeResult.recurring) {
+            els.feeDisplay.textContent = this.t('calculator.billedSeparately', { amount: money(0), rule: this.formatFeeRule(feeRule) });
+        } else if (feeRule.type === 'flat' && feeRule.currency === sendCurrency) {
+            els.feeDisplay.textContent = money(fee);
+        } else {
+            els.feeDisplay.textContent = `${money(fee)} (${this.formatFeeRule(feeRule)})`;
+        }
+
+        // The fee comes out of the amount sent: fee + amount converted = total debited, to the minor unit
+        if (els.principalDisplay) {
+            els.principalDisplay.textContent = feeResult ? money(quote.principal) : '-';
+        }
+        if (els.totalDisplay) {
+            els.totalDisplay.textContent = feeResult ? money(sendAmount) : '-';
+        }
+        const rateText = rate.toLocaleString(this.getLocale(), { minimumFractionDigits: 4, maximumFractionDigits: 4 });
+        els.rateDisplay.replaceChildren(
+            `1 ${sendCurrency} = ${rateText} ${receiveCurrency} `,
+            this.createNode('span', { className: 'rate-badge' })
+        );
+        this.renderRateBadge();
+    },
+
+    // Blank the calculated figures when there is no valid quote to show
+    clearQuoteOutputs() {
+        const els = this.elements;
+        this.currentQuote = null;
+        // Errors are announced by their own alerts; drop any quote still waiting to be read out
+        clearTimeout(this.announceTimer);
+        els.feeDisplay.textContent = '-';
+        if (els.principalDisplay) els.principalDisplay.textContent = '-';
+        if (els.totalDisplay) els.totalDisplay.textContent = '-';
+        (this.calculationMode === 'receive' ? els.sendAmount : els.receiveAmount).value = '';
+    },
+
+    // Blank the calculator outputs when a pair cannot be quoted, and say why
+    showUnavailableQuote(message) {
+        this.clearQuoteOutputs();
+        this.elements.rateDisplay.textContent = this.t('calculator.rateUnavailable');
+        this.showError(message);
+    },
+
+    // Show where the displayed rate came from and how fresh it is, by that pair's own fetch time
+    renderRateBadge() {
+        const slot = this.elements.rateDisplay.querySelector('.rate-badge');
+        if (!slot) return;
+
+        const from = this.elements.sendCurrency.value;
+        const to = this.elements.receiveCurrency.value;
+        const source = this.getRateSource(from, to);
+        const lastUpdated = this.getRateFetchedAt(from, to);
+
+        const badge = (className, text, title) => slot.replaceChildren(
+            this.createNode('span', { className: className, text: text, attrs: { title: title } })
+        );
+
+        if (source === 'fallback' || !lastUpdated) {
+            badge('fallback-badge', this.t('badge.fallback'), this.t('badge.fallbackTitle'));
+            return;
+        }
+
+        const minutes = Math.floor((Date.now() - lastUpdated) / 60000);
+        const age = { age: this.formatAge(lastUpdated) };
+        const updated = { updated: this.t('badge.updated', { time: new Date(lastUpdated).toLocaleString(this.getLocale()) }) };
+
+        if (source === 'cached') {
+            badge('fallback-badge', this.t('badge.saved', age), this.t('badge.savedTitle', updated));
+        } else if (minutes >= this.config.refresh.staleAfterMinutes || this.missedLastLoad(from, to)) {
+            badge('fallback-badge', this.t('badge.stale', age), updated.updated);
+        } else if (source === 'derived') {
+            badge('derived-badge', this.t('badge.derived', age), this.t('badge.derivedTitle', updated));
+        } else {
+            badge('real-time-badge', this.t('badge.live', age), updated.updated);
+        }
+    },
+
+    // Swap currencies; the amount the user entered moves with its currency
+    swapCurrencies() {
+        const els = this.elements;
+        const tempCurrency = els.sendCurrency.value;
+        els.sendCurrency.value = els.receiveCurrency.value;
+        els.receiveCurrency.value = tempCurrency;
+
+        const tempAmount = els.sendAmount.value;
+        els.sendAmount.value = els.receiveAmount.value;
+        els.receiveAmount.value = tempAmount;
+        this.calculationMode = this.calculationMode === 'receive' ? 'send' : 'receive';
+
+        this.calculateSwap();
+    },
+
+    // Wire up the quote lock controls
+    initializeQuoteLock() {
+        const els = this.elements;
+        if (!els.lockQuoteBtn) return;
+
+        els.lockQuoteBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.lockQuote();
+        });
+        els.requoteBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.requote();
+        });
+        els.unlockQuoteBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.releaseQuote();
+        });
+    },
+
+    // Capture the current calculator result as a quote that holds for a fixed time
+    lockQuote() {
+        const quote = this.currentQuote;
+        if (!quote || !quote.feeResult || quote.sendAmount <= 0) {
+            this.showError(this.t('quote.needsAmount'));
+            return;
+        }
+
+        // The whole settled quote is kept, so the locked figures can be reproduced and checked later
+        const lockedAt = Date.now();
+        this.lockedQuote = {
+            ...quote,
+            feeResult: { ...quote.feeResult },
+            minor: { ...quote.minor },
+            lockedAt: lockedAt,
+            expiresAt: lockedAt + this.config.quoteLockSeconds * 1000,
+            status: 'active',
+            expiredReason: null
+        };
+
+        this.setCalculatorLocked(true);
+        clearInterval(this.quoteTimer);
+        this.quoteTimer = setInterval(() => this.updateQuoteCountdown(), 1000);
+        this.updateQuoteCountdown();
+    },
+
+    // Tick the countdown and expire the quote when time runs out
+    updateQuoteCountdown() {
+        const quote = this.lockedQuote;
+        if (!quote || quote.status !== 'active') return;
+
+        const remaining = Math.max(0, Math.ceil((quote.expiresAt - Date.now()) / 1000));
+        if (remaining === 0) {
+            this.expireQuote({ key: 'quote.expired' });
+            return;
+        }
+        this.renderQuoteStatus(this.t('quote.locked', { count: remaining }));
+    },
+
+    // Re-render the locked quote's countdown or expiry reason, e.g. after a language change
+    renderLockedQuoteStatus() {
+        const quote = this.lockedQuote;
+        if (!quote) return;
+        if (quote.status === 'expired') {
+            this.renderQuoteStatus(this.t(quote.expiredReason.key, quote.expiredReason.params), true);
+        } else {
+            this.updateQuoteCountdown();
+        }
+    },
+
+    // Expire a locked quote when the live rate moves past the tolerance
+    checkLockedQuoteRate() {
+        const quote = this.lockedQuote;
+        if (!quote || quote.status !== 'active') return;
+
+        const rate = this.config.exchangeRates[quote.sendCurrency]?.[quote.receiveCurrency];
+        const drift = rate ? Math.abs(rate - quote.rate) / quote.rate : 0;
+        if (drift > this.config.quoteRateTolerance) {
+            this.expireQuote({ key: 'quote.rateMoved', params: { percent: Number((drift * 100).toFixed(2)) } });
+        }
+    },
+
+    // Mark the locked quote as no longer valid and offer a requote; reason is a message { key, params }
+    expireQuote(reason) {
+        const quote = this.lockedQuote;
+        if (!quote) return;
+
+        clearInterval(this.quoteTimer);
+        quote.status = 'expired';
+        quote.expiredReason = reason;
+        this.renderLockedQuoteStatus();
+    },
+
+    // Drop the current quote and lock a fresh one at today's rates
+    requote() {
+        this.releaseQuote();
+        this.lockQuote();
+    },
+
+    // Drop any locked quote and let the calculator move freely again
+    releaseQuote() {
+        clearInterval(this.quoteTimer);
+        this.lockedQuote = null;
+        this.setCalculatorLocked(false);
+        this.calculateSwap();
+    },
+
+    // Freeze or unfreeze the calculator inputs while a quote is locked
+    setCalculatorLocked(locked) {
+        const els = this.elements;
+        els.sendAmount.readOnly = locked;
+        els.receiveAmount.readOnly = locked;
+        [els.sendCurrency, els.receiveCurrency, els.tierSelect, els.serviceSelect, els.swapBtn].forEach(el => {
+            if (el) el.disabled = locked;
+        });
+
+        els.lockQuoteBtn.hidden = locked;
+        els.quoteStatus.hidden = !locked;
+        if (!locked) {
+            els.quoteStatus.classList.remove('expired');
+        }
+    },
+
+    // Show the quote countdown or expiry message
+    renderQuoteStatus(message, expired = false) {
+        const els = this.elements;
+        els.quoteCountdown.textContent = message;
+        els.quoteStatus.classList.toggle('expired', expired);
+        els.requoteBtn.hidden = !expired;
+    },
+
+    // Flash element to indicate update, unless the user prefers reduced motion
+    flashElement(el) {
+        if (this.prefersReducedMotion()) return;
+        el.classList.add('value-updated');
+        setTimeout(() => el.classList.remove('value-updated'), 500);
+    },
+
+    // Whether the user asked for less motion; read each time so a change applies straight away
+    prefersReducedMotion() {
+        return Boolean(window.matchMedia?.('(prefers-reduced-motion: reduce)').matches);
+    },
+
+    // Read a new quote out to screen readers through the polite live region, once typing pauses
+    announceQuote(quote) {
+        const els = this.elements;
+        if (!els.quoteAnnouncer) return;
+
+        // Unpriced fees show their "contact us" text in place of a breakdown
+        const message = quote.feeResult
+            ? this.t('calculator.announce', {
+                send: this.formatMoney(quote.sendAmount, quote.sendCurrency, { fixed: true }),
+                fee: els.feeDisplay.textContent,
+                receive: this.formatMoney(quote.receiveAmount, quote.receiveCurrency, { fixed: true })
+            })
+            : els.feeDisplay.textContent;
+
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            els.quoteAnnouncer.textContent = message;
+        }, this.config.announceDelayMs);
+    },
+
+    /*
+     * Fee tabs
+     *
+     * Follows the WAI-ARIA tabs pattern: only the selected tab is in the tab order,
+     * Left/Right move to the previous/next tab (wrapping) and Home/End to the first/last,
+     * selecting as focus moves. The selected panel's id is kept in the hash (#premium-tab),
+     * so a tier can be linked to directly.
+     */
+
+    // Initialize tabs
+    initializeTabs() {
+        const els = this.elements;
+        els.tabs.forEach(tab => {
+            tab.addEventListener('click', () => this.selectTab(tab));
+        });
+
+        els.tabList.addEventListener('keydown', (event) => {
+            const tabs = [...els.tabs];
+            const current = tabs.indexOf(event.target);
+            if (current === -1) return;
+
+            const next = {
+                ArrowRight: (current + 1) % tabs.length,
+                ArrowLeft: (current - 1 + tabs.length) % tabs.length,
+                Home: 0,
+                End: tabs.length - 1
+            }[event.key];
+            if (next === undefined) return;
+
+            event.preventDefault();
+            this.selectTab(tabs[next]);
+            tabs[next].focus();
+        });
+
+        // Following a link to another tier on this page selects it
+        window.addEventListener('hashchange', () => {
+            const tier = this.getHashTier();
+            const tab = tier && els.tabList.querySelector(`[aria-controls="${tier.id}-tab"]`);
+            if (tab) this.selectTab(tab, { remember: false });
+        });
+    },
+
+    // Select a tab and show its panel, recording it in the hash unless told not to
+    selectTab(tab, { remember = true } = {}) {
+        const targetId = tab.getAttribute('aria-controls');
+
+        this.elements.tabs.forEach(t => {
+            const selected = t === tab;
+            t.classList.toggle('active', selected);
+            t.setAttribute('aria-selected', String(selected));
+            t.setAttribute('tabindex', selected ? '0' : '-1');
+        });
+        this.elements.tabContents.forEach(panel => panel.classList.toggle('active', panel.id === targetId));
+
+        if (remember) {
+            // replaceState keeps the query string and does not jump the page to the panel
+            history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${targetId}`);
+        }
+    },
+
+    // The tier whose panel the hash names, e.g. #premium-tab, or null
+    getHashTier() {
+        const id = decodeURIComponent(window.location.hash.slice(1));
+        return (this.tiers || []).find(tier => `${tier.id}-tab` === id) || null;
+    },
+
+    /*
+     * Tier comparison
+     *
+     * Monthly cost under a tier = fixed (subscriptions) + variable (per-transaction fees).
+     * Both are linear in how many transactions are made, which gives the break-even volume.
+     */
+
+    // Convert a recurring rule into its monthly cost in the given currency
+    monthlyRecurringCost(rule, currency) {
+        const perMonth = { week: 52 / 12, month: 1, year: 1 / 12 };
+        const amount = this.convertAmount(rule.amount, rule.currency, currency);
+        return amount === null ? null : amount * (perMonth[rule.period] || 1);
+    },
+
+    // Price monthly usage ([{ id, count, amount }]) under every tier
+    compareTiers(usage, currency) {
+        const used = usage.filter(item => item.count > 0);
+
+        return this.tiers.map(tier => {
+            const entries = this.resolveTierEntries(tier);
+            const result = { tier: tier, fixed: 0, variable: 0, transactions: 0, missing: [], unpriced: [] };
+
+            if (tier.subscription) {
+                const plan = this.monthlyRecurringCost(this.parseFeeRule(String(tier.subscription)), currency);
+                result.fixed += plan || 0;
+            }
+
+            used.forEach(item => {
+                const entry = entries.find(candidate => candidate.id === item.id);
+                const name = item.service;
+                if (!entry) {
+                    result.missing.push(name);
+                    return;
+                }
+
+                if (entry.rule.type === 'recurring') {
+                    const monthly = this.monthlyRecurringCost(entry.rule, currency);
+                    if (monthly === null) result.unpriced.push(name);
+                    else result.fixed += monthly * item.count;
+                    return;
+                }
+
+                const fee = this.calculateFee(entry.rule, item.amount, currency);
+                if (!fee) {
+                    result.unpriced.push(name);
+                    return;
+                }
+                result.variable += fee.amount * item.count;
+                result.transactions += item.count;
+            });
+
+            result.total = result.fixed + result.variable;
+            return result;
+        });
+    },
+
+    // Monthly transaction count at which `upgrade` and `base` cost the same, scaling the usage mix.
+    // Above it the upgrade is cheaper, or below it when `cheaperBelow` (a cheaper plan with dearer fees)
+    findBreakEven(base, upgrade) {
+        const extraFixed = upgrade.fixed - base.fixed;
+        const savedVariable = base.variable - upgrade.variable;
+
+        if (extraFixed <= 0 && savedVariable >= 0) {
+            return { alwaysCheaper: true, cheaperBelow: false, transactions: 0 };
+        }
+        if (savedVariable === 0 || base.transactions === 0 || (savedVariable < 0 && extraFixed >= 0)) {
+            return null;
+        }
+
+        // fixedB + k * variableB = fixedA + k * variableA, with k scaling the entered volume
+        const scale = extraFixed / savedVariable;
+        return { alwaysCheaper: false, cheaperBelow: savedVariable < 0, transactions: Math.ceil(scale * base.transactions) };
+    },
+
+    // Wire up the comparison view
+    initializeAdvisor() {
+        const els = this.elements;
+        if (!els.advisorBody) return;
+
+        this.config.currencies.forEach(currency => {
+            els.advisorCurrency.appendChild(this.createNode('option', {
+                text: `${currency.flag} ${currency.code}`,
+                attrs: { value: currency.code, title: currency.name }
+            }));
+        });
+        els.advisorCurrency.value = 'USD';
+
+        els.advisorBody.addEventListener('input', () => this.updateAdvisor());
+        els.advisorCurrency.addEventListener('change', () => this.updateAdvisor());
+
+        this.renderAdvisorInputs();
+    },
+
+    // One usage row per service in the fee schedule, keeping anything already entered
+    renderAdvisorInputs() {
+        const body = this.elements.advisorBody;
+        if (!body || !this.feeSchedule) return;
+
+        const entered = this.readAdvisorUsage();
+
+        body.replaceChildren(...[...this.feeSchedule.Customer, ...this.feeSchedule.Business].map(entry => {
+            const previous = entered.find(item => item.id === entry.id);
+            const recurring = entry.rule.type === 'recurring';
+            const row = this.createNode('tr', {}, [
+                this.createNode('td', { text: entry.service }),
+                this.createNode('td', {}, [this.createNode('input', {
+                    className: 'advisor-count',
+                    attrs: {
+                        type: 'number', min: '0', step: '1', value: String(previous ? previous.count : 0),
+                        'aria-label': this.t(recurring ? 'advisor.subscriptions' : 'advisor.transactions')
+                    }
+                })]),
+                this.createNode('td', {}, [recurring
+                    ? this.createNode('span', { className: 'advisor-note', text: this.formatFeeRule(entry.rule) })
+                    : this.createNode('input', {
+                        className: 'advisor-amount',
+                        attrs: {
+                            type: 'number', min: '0', step: 'any', value: String(previous ? previous.amount : 0),
+                            'aria-label': this.t('advisor.averageAmount')
+                        }
+                    })])
+            ]);
+            row.dataset.id = entry.id;
+            row.dataset.service = entry.service;
+            return row;
+        }));
+
+        this.updateAdvisor();
+    },
+
+    // Read the usage entered in the comparison view
+    readAdvisorUsage() {
+        const body = this.elements.advisorBody;
+        if (!body) return [];
+
+        return [...body.querySelectorAll('tr')].map(row => ({
+            id: row.dataset.id,
+            service: row.dataset.service,
+            count: Math.max(0, parseInt(row.querySelector('.advisor-count').value, 10) || 0),
+            amount: Math.max(0, parseFloat(row.querySelector('.advisor-amount')?.value) || 0)
+        }));
+    },
+
+    // Recompute and show the cost of the entered usage under every tier
+    updateAdvisor() {
+        const container = this.elements.advisorResults;
+        if (!container || !this.tiers) return;
+
+        const currency = this.elements.advisorCurrency.value || 'USD';
+        const results = this.compareTiers(this.readAdvisorUsage(), currency);
+        const money = (amount) => this.formatMoney(amount, currency);
+
+        if (!results.some(result => result.total > 0 || result.missing.length || result.unpriced.length)) {
+            container.replaceChildren(this.createNode('p', { className: 'advisor-note', text: this.t('advisor.empty') }));
+            return;
+        }
+
+        // Only tiers that can price everything entered are candidates for cheapest
+        const complete = results.filter(result => !result.missing.length && !result.unpriced.length);
+        const cheapest = complete.reduce((best, result) => (!best || result.total < best.total ? result : best), null);
+
+        const rows = results.map(result => {
+            const notes = [];
+            if (result.missing.length) notes.push(this.t('advisor.notOffered', { services: result.missing.join(', ') }));
+            if (result.unpriced.length) notes.push(this.t('advisor.customPricing', { services: result.unpriced.join(', ') }));
+            const isCheapest = result === cheapest;
+
+            return this.createNode('tr', { className: isCheapest ? 'advisor-cheapest' : '' }, [
+                this.createNode('td', {}, [
+                    result.tier.name,
+                    ...(isCheapest ? [' ', this.createNode('span', { className: 'status-badge active', text: this.t('advisor.cheapest') })] : [])
+                ]),
+                this.createNode('td', { text: money(result.variable) }),
+                this.createNode('td', { text: money(result.fixed) }),
+                this.createNode('td', {}, [
+                    this.createNode('strong', { text: money(result.total) }),
+                    notes.length ? this.createNode('div', { className: 'advisor-note' },
+                        notes.flatMap((note, index) => index ? [this.createNode('br'), note] : [note])) : null
+                ])
+            ]);
+        });
+
+        // Break-even against the first complete tier, the usual starting plan
+        const base = complete[0];
+        const breakEvens = base ? complete.slice(1).map(upgrade => {
+            const breakEven = this.findBreakEven(base, upgrade);
+            const names = { upgrade: upgrade.tier.name, base: base.tier.name };
+            if (!breakEven) return this.t('advisor.neverPays', names);
+            if (breakEven.alwaysCheaper) return this.t('advisor.alwaysCheaper', names);
+            if (breakEven.cheaperBelow) {
+                return this.t('advisor.cheaperBelow', { ...names, count: breakEven.transactions, entered: base.transactions });
+            }
+            if (breakEven.transactions <= base.transactions) {
+                return this.t('advisor.alreadyPays', { ...names, count: breakEven.transactions });
+            }
+            return this.t('advisor.paysFrom', { ...names, count: breakEven.transactions, entered: base.transactions });
+        }) : [];
+
+        const notes = cheapest ? breakEvens : [this.t('advisor.noSinglePlan'), ...breakEvens];
+        container.replaceChildren(
+            this.createNode('table', {}, [
+                this.createNode('thead', {}, [
+                    this.createNode('tr', {}, ['advisor.plan', 'advisor.transactionFees', 'advisor.monthlyCharges', 'advisor.totalPerMonth']
+                        .map(key => this.createNode('th', { text: this.t(key) })))
+                ]),
+                this.createNode('tbody', {}, rows)
+            ]),
+            ...notes.map(note => this.createNode('p', { className: 'advisor-breakeven', text: note }))
+        );
+    },
+
+    // Read the locally kept rate history: { 'USD/NGN': [[timestamp, rate], ...] }
+    loadRateHistory() {
+        try {
+            return JSON.parse(localStorage.getItem(this.config.historyStorageKey)) || {};
+        } catch (error) {
+            console.warn('Could not read rate history:', error);
+            return {};
+        }
+    },
+
+    // Record the rates a live load fetched at `fetchedAt` as one history point per pair;
+    // pairs it did not reach keep an older rate and are left out
+    recordRateHistory(fetchedAt) {
+        const history = this.loadRateHistory();
+        const oldest = fetchedAt - this.config.chartRanges['30d'];
+        const minInterval = this.config.historyMinIntervalMinutes * 60 * 1000;
+
+        this.getCurrencyPairs().forEach(([from, to]) => {
+            const key = `${from}/${to}`;
+            const points = (history[key] || []).filter(([timestamp]) => timestamp >= oldest);
+            const last = points[points.length - 1];
+
+            // Only rates quoted (or derived from quotes) in this load are observations,
+            // and frequent refreshes are thinned out
+            const fresh = this.getRateFetchedAt(from, to) === fetchedAt;
+            if (fresh && (!last || fetchedAt - last[0] >= minInterval)) {
+                points.push([fetchedAt, this.config.exchangeRates[from][to]]);
+            }
+            history[key] = points;
+        });
+
+        try {
+            localStorage.setItem(this.config.historyStorageKey, JSON.stringify(history));
+        } catch (error) {
+            console.warn('Could not save rate history:', error);
+        }
+    },
+
+    // Fetch rate history from the data source, if it has any
+    async fetchRateHistory(from, to, range) {
+        try {
+            const historyData = await this.dataSource.fetchRateHistory(from, to, range);
+            return (historyData?.rates || [])
+                .map(point => [new Date(point.timestamp).getTime(), parseFloat(point.rate)])
+                .filter(([timestamp, rate]) => !isNaN(timestamp) && rate > 0);
+        } catch (error) {
+            console.warn('Could not load rate history from API:', error);
+            return [];
+        }
+    },
+
+    // Merge API and local history for a pair within the given range
+    async getRateHistory(from, to, range) {
+        const since = Date.now() - this.config.chartRanges[range];
+        const local = this.loadRateHistory()[`${from}/${to}`] || [];
+        const remote = await this.fetchRateHistory(from, to, range);
+
+        const byTime = new Map();
+        [...remote, ...local].forEach(([timestamp, rate]) => byTime.set(timestamp, rate));
+
+        return [...byTime.entries()]
+            .filter(([timestamp]) => timestamp >= since)
+            .sort((a, b) => a[0] - b[0]);
+    },
+
+    // Summarise a rate series: min, max, average and percent change
+    summarizeRates(points) {
+        if (points.length === 0) return null;
+
+        const rates = points.map(([, rate]) => rate);
+        const first = rates[0];
+        const last = rates[rates.length - 1];
+        return {
+            min: Math.min(...rates),
+            max: Math.max(...rates),
+            average: rates.reduce((sum, rate) => sum + rate, 0) / rates.length,
+            change: ((last - first) / first) * 100
+        };
+    },
+
+    // Initialize chart
+    initializeChart() {
+        const els = this.elements;
+        const ctx = els.chartCanvas.getContext('2d');
+        this.chartRange = '7d';
+
+        // Offer every pair the calculator can quote
+        if (els.chartPair) {
+            els.chartPair.append(...this.getCurrencyPairs().map(([from, to]) =>
+                this.createNode('option', { text: `${from}/${to}`, attrs: { value: `${from}/${to}` } })));
+            els.chartPair.value = 'USD/NGN';
+            els.chartPair.addEventListener('change', () => this.updateChart());
+        }
+
+        els.chartRangeBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.chartRange = btn.dataset.range;
+                els.chartRangeBtns.forEach(b => b.classList.toggle('active', b === btn));
+                this.updateChart();
+            });
+        });
+
+        const chartData = {
+            labels: [],
+            datasets: [{
+                label: this.t('chart.dataset', { from: 'USD', to: 'NGN' }),
+                data: [],
+                fill: true,
+                backgroundColor: 'rgba(255, 193, 7, 0.1)',
+                borderColor: '#FFC107',
+                tension: 0.4,
+                pointBackgroundColor: '#FFC107',
+                pointRadius: 3,
+                pointHoverRadius: 6
+            }]
+        };
+
+        this.chart = new Chart(ctx, {
+            type: 'line',
+            data: chartData,
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                ...(this.prefersReducedMotion() ? { animation: false } : {}),
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => this.formatRate(context.parsed.y, this.chartPair()[1])
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        ticks: {
+                            callback: (value) => this.formatRate(value, this.chartPair()[1])
+                        }
+                    }
+                }
+            }
+        });
+
+        this.updateChart();
+    },
+
+    // The pair currently shown on the chart, as [from, to]
+    chartPair() {
+        return (this.elements.chartPair?.value || 'USD/NGN').split('/');
+    },
+
+    // Format a rate with the quote currency's registry symbol
+    formatRate(value, currency) {
+        const entry = this.getCurrency(currency);
+        const number = value.toLocaleString(this.getLocale(), { maximumSignificantDigits: 6 });
+        return entry ? `${entry.symbol}${number}` : `${number} ${currency}`;
+    },
+
+    // Redraw the chart in place for the selected pair and range. Callers do not wait, so
+    // each call is numbered and a history that arrives after a newer request is dropped
+    async updateChart() {
+        if (!this.chart) return;
+
+        const request = this.chartRequest = (this.chartRequest || 0) + 1;
+        const [from, to] = this.chartPair();
+        const range = this.chartRange;
+        const points = await this.getRateHistory(from, to, range);
+        if (request !== this.chartRequest) return;
+
+        const timeFormat = range === '24h'
+            ? { hour: '2-digit', minute: '2-digit' }
+            : { month: 'short', day: 'numeric' };
+        const formatter = new Intl.DateTimeFormat(this.getLocale(), timeFormat);
+
+        const dataset = this.chart.data.datasets[0];
+        dataset.label = this.t('chart.dataset', { from: from, to: to });
+        dataset.data = points.map(([, rate]) => rate);
+        this.chart.data.labels = points.map(([timestamp]) => formatter.format(new Date(timestamp)));
+        // 'none' skips the transition to the new data
+        this.chart.update(this.prefersReducedMotion() ? 'none' : undefined);
+
+        const subtitle = this.t('chart.subtitle', { from: from, to: to });
+        if (this.elements.chartSubtitle) {
+            this.elements.chartSubtitle.textContent = subtitle;
+        }
+        this.elements.chartCanvas.setAttribute('aria-label', this.t('chart.canvasLabel', { from: from, to: to }));
+        this.renderChartStats(this.summarizeRates(points), to);
+        this.renderChartTable(points, this.chart.data.labels, subtitle, to);
+    },
+
+    // Fill the table alternative to the chart with the same points
+    renderChartTable(points, labels, caption, currency) {
+        const els = this.elements;
+        if (!els.chartTableBody) return;
+
+        if (els.chartTableCaption) {
+            els.chartTableCaption.textContent = caption;
+        }
+        if (points.length === 0) {
+            els.chartTableBody.replaceChildren(this.createNode('tr', {}, [
+                this.createNode('td', { text: this.t('chart.noHistory'), attrs: { colspan: '2' } })
+            ]));
+            return;
+        }
+        els.chartTableBody.replaceChildren(...points.map(([, rate], index) => this.createNode('tr', {}, [
+            this.createNode('th', { text: labels[index], attrs: { scope: 'row' } }),
+            this.createNode('td', { text: this.formatRate(rate, currency) })
+        ])));
+    },
+
+    // Show min/max/average/change for the charted range
+    renderChartStats(stats, currency) {
+        const container = this.elements.chartStats;
+        if (!container) return;
+
+        if (!stats) {
+            container.textContent = this.t('chart.noHistory');
+            return;
+        }
+
+        const sign = stats.change > 0 ? '+' : '';
+        const items = [
+            [this.t('chart.min'), this.formatRate(stats.min, currency)],
+            [this.t('chart.max'), this.formatRate(stats.max, currency)],
+            [this.t('chart.average'), this.formatRate(stats.average, currency)],
+            [this.t('chart.change'), `${sign}${stats.change.toLocaleString(this.getLocale(), { minimumFractionDigits: 2, maximumFractionDigits: 2 })}%`]
+        ];
+        container.replaceChildren(...items.map(([label, value]) => this.createNode('div', { className: 'chart-stat' }, [
+            this.createNode('span', { text: label }),
+            this.createNode('strong', { text: value })
+        ])));
+    },
+
+    // Show/hide loading indicator
+    showLoading(show) {
+        if (this.elements.loadingIndicator) {
+            this.elements.loadingIndicator.style.display = show ? 'block' : 'none';
+        }
+    },
+
+    // Show error message; persistent messages stay until cleared
+    showError(message, persistent = false) {
+        if (this.elements.errorDisplay) {
+            clearTimeout(this.errorTimer);
+            this.errorPersistent = Boolean(message) && persistent;
+            if (message) {
+                this.elements.errorDisplay.textContent = message;
+                this.elements.errorDisplay.style.display = 'block';
+                if (!persistent) {
+                    this.errorTimer = setTimeout(() => {
+                        this.elements.errorDisplay.style.display = 'none';
+                    }, 5000);
+                }
+            } else {
+                this.elements.errorDisplay.style.display = 'none';
+            }
+        }
+    }
+};
+
+/*
+ * Initialize the app when DOM is loaded. Module scripts all run before DOMContentLoaded,
+ * so a module loaded after this one can swap the data source first:
+ *   import { App } from './script.js';
+ *   import { createFixtureDataSource } from './lib/data-source.js';
+ *   App.dataSource = createFixtureDataSource({ fees, exchange, tiers });
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    console.log('DOM loaded, initializing app...');
+    App.init();
+});
+
+export { App };
\ No newline at end of file
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    findCurrency, getPrecision, getCurrencyPairs, buildRateTable, getRate,
+    fallbackSources, applyQuotes, validateExchangeRate
+} from '../lib/currencies.js';
+import { currencies } from './helpers/fixtures.js';
+
+test('findCurrency and getPrecision read the registry', () => {
+    assert.equal(findCurrency(currencies, 'GBP').symbol, '£');
+    assert.equal(findCurrency(currencies, 'GPB'), null);
+    assert.equal(getPrecision([{ code: 'JPY', precision: 0 }], 'JPY'), 0);
+    assert.equal(getPrecision(currencies, 'XYZ'), 2);
+});
+
+test('getCurrencyPairs lists every ordered pair of registry codes', () => {
+    const pairs = getCurrencyPairs(currencies);
+
+    assert.equal(pairs.length, 12);
+    assert.deepEqual(pairs.slice(0, 3), [['USD', 'EUR'], ['USD', 'GBP'], ['USD', 'NGN']]);
+    assert.ok(pairs.every(([from, to]) => from !== to));
+});
+
+test('buildRateTable crosses the fallback rates through USD', () => {
+    const rates = buildRateTable(currencies);
+
+    assert.equal(rates.USD.USD, 1);
+    assert.equal(rates.USD.NGN, 1480);
+    assert.equal(rates.EUR.NGN, 1480 / 0.9215);
+    assert.equal(rates.NGN.GBP, 0.7950 / 1480);
+});
+
+test('getRate throws for codes outside the registry instead of guessing', () => {
+    const rates = buildRateTable(currencies);
+
+    assert.equal(getRate(rates, 'USD', 'GBP'), 0.7950);
+    // Regression: the currency select once offered "GPB", which was quietly priced at a rate of 1
+    assert.throws(() => getRate(rates, 'USD', 'GPB'), /No exchange rate available for USD\/GPB/);
+    assert.throws(() => getRate(rates, '', 'NGN'), /No exchange rate available for \?\/NGN/);
+});
+
+test('fallbackSources marks identity rates live and everything else fallback', () => {
+    const sources = fallbackSources(buildRateTable(currencies));
+
+    assert.equal(sources.NGN.NGN, 'live');
+    assert.equal(sources.USD.NGN, 'fallback');
+});
+
+test('applyQuotes merges live quotes, inverts and triangulates through USD', () => {
+    const rates = buildRateTable(currencies);
+    const { rates: merged, sources } = applyQuotes(rates, [
+        { from: 'USD', to: 'NGN', rate: 1500 },
+        { from: 'USD', to: 'EUR', rate: 0.9 }
+    ], currencies);
+
+    assert.equal(merged.USD.NGN, 1500);
+    assert.equal(sources.USD.NGN, 'live');
+    assert.equal(merged.NGN.USD, 1 / 1500);
+    assert.equal(sources.NGN.USD, 'derived');
+    assert.equal(merged.EUR.NGN, (1 / 0.9) * 1500);
+    assert.equal(sources.EUR.NGN, 'derived');
+    // No GBP quote at all: both legs stay on the fallback rate
+    assert.equal(merged.USD.GBP, 0.7950);
+    assert.equal(sources.GBP.NGN, 'fallback');
+    // The table passed in is left alone
+    assert.equal(rates.USD.NGN, 1480);
+});
+
+test('applyQuotes keeps the tag and fetch time of pairs a partial refresh did not reach', () => {
+    const first = applyQuotes(buildRateTable(currencies), [
+        { from: 'USD', to: 'NGN', rate: 1500 },
+        { from: 'USD', to: 'GBP', rate: 0.8 }
+    ], currencies, { fetchedAt: 1000 });
+    const { rates, sources, times } = applyQuotes(first.rates, [{ from: 'USD', to: 'NGN', rate: 1510 }], currencies, {
+        sources: first.sources, times: first.times, fetchedAt: 2000
+    });
+
+    assert.equal(sources.USD.NGN, 'live');
+    assert.equal(times.USD.NGN, 2000);
+    assert.equal(times.NGN.USD, 2000);
+    // USD/GBP was not quoted this time: it still holds its last live rate, with that rate's age
+    assert.equal(rates.USD.GBP, 0.8);
+    assert.equal(sources.USD.GBP, 'live');
+    assert.equal(times.USD.GBP, 1000);
+    assert.equal(sources.USD.EUR, 'fallback');
+    assert.equal(times.USD.EUR, undefined);
+    assert.equal(first.sources.USD.NGN, 'live');
+    assert.equal(first.times.USD.NGN, 1000);
+});
+
+test('validateExchangeRate accepts numeric and numeric-string rates near the reference', () => {
+    assert.deepEqual(validateExchangeRate({ rate: 1532.5 }, 1480, 5), { rate: 1532.5, problem: null });
+    assert.deepEqual(validateExchangeRate({ rate: '0.7950' }, 0.795, 5), { rate: 0.795, problem: null });
+    assert.deepEqual(validateExchangeRate({ rate: 2 }, undefined, 5), { rate: 2, problem: null });
+});
+
+test('validateExchangeRate explains why a payload is unusable', () => {
+    const problem = (payload, reference) => validateExchangeRate(payload, reference, 5).problem;
+
+    assert.equal(problem(null), 'Exchange payload is not an object');
+    assert.equal(problem({ from: 'USD', to: 'NGN' }), 'Missing rate');
+    assert.equal(problem({ rate: null }), 'Rate is not a positive number: null');
+    assert.equal(problem({ rate: 'abc' }), 'Rate is not a positive number: "abc"');
+    assert.equal(problem({ rate: -1 }), 'Rate is not a positive number: -1');
+    assert.equal(problem({ rate: 1000000 }, 1480), 'Rate 1000000 is outside the plausible band around 1480');
+    assert.equal(problem({ rate: 200 }, 1480), 'Rate 200 is outside the plausible band around 1480');
+});
\ No newline at end of file
@@ -0,0 +1,261 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createHttpDataSource, createFixtureDataSource, loadData, chooseFallbackFees, cachedQuotes } from '../lib/data-source.js';
+import { buildRateTable, getCurrencyPairs, applyQuotes } from '../lib/currencies.js';
+import { validateTierConfig, resolveTierEntries } from '../lib/tiers.js';
+import { computeQuote } from '../lib/quote.js';
+import { startMockServer } from './helpers/mock-server.js';
+import { currencies, createPricing, loadFixture } from './helpers/fixtures.js';
+
+const exchange = loadFixture('exchange.json');
+const tierConfig = JSON.parse(readFileSync(new URL('../tiers.json', import.meta.url), 'utf8'));
+const reference = buildRateTable(currencies);
+let server;
+
+// loadData options as App passes them on a first load, with no snapshots saved
+function loadOptions(overrides = {}) {
+    return {
+        currencies: currencies,
+        referenceRates: reference,
+        sanityFactor: 5,
+        snapshots: { fees: null, rates: null },
+        fallbackFees: { Customer: { Bundled: [{ Service: 'Bundled Transfer', Fee: '1%' }] }, Business: {} },
+        keep: { fees: false, rates: false },
+        ...overrides
+    };
+}
+
+// Load a data source the way App.init does, plus the tier configuration and merged rate table
+async function loadPage(dataSource) {
+    const loaded = await loadData(dataSource, loadOptions());
+    const { tiers } = validateTierConfig(currencies, await dataSource.fetchTiers());
+    const rejected = loaded.problems.exchange.map(({ path, message }) => `${path}: ${message}`);
+
+    return { ...loaded, schedule: loaded.fees.schedule, tiers, rejected, ...applyQuotes(reference, loaded.rates?.quotes || [], currencies) };
+}
+
+before(async () => {
+    server = await startMockServer({
+        '/default/fee': loadFixture('fees.json'),
+        '/default/exchange': ({ from, to }) => exchange[`${from}/${to}`]
+            ? { status: 200, body: exchange[`${from}/${to}`] }
+            : { status: 400, body: { message: 'Unsupported pair' } },
+        '/tiers.json': tierConfig,
+        '/broken-tiers': () => ({ status: 503, body: 'Service Unavailable' }),
+        '/history': ({ from, to, range }) => ({
+            status: 200,
+            body: { from, to, range, rates: [{ timestamp: '2025-10-29T00:00:00Z', rate: 1520.1 }] }
+        })
+    });
+});
+
+after(() => server.close());
+
+// An HTTP data source pointed at the mock server
+function httpSource(endpoints = {}, tierConfigUrl = `${server.url}/tiers.json`) {
+    return createHttpDataSource({
+        endpoints: {
+            fees: `${server.url}/default/fee`,
+            exchange: `${server.url}/default/exchange`,
+            history: null,
+            tiers: null,
+            ...endpoints
+        },
+        tierConfigUrl: tierConfigUrl
+    });
+}
+
+test('the HTTP data source loads fees, tiers and rates from the API', async () => {
+    const page = await loadPage(httpSource());
+
+    assert.equal(page.feesLoaded, true);
+    // Some pairs have no usable rate, so the rates did not load in full
+    assert.equal(page.ratesLoaded, false);
+    assert.match(page.errors.rates.message, /^Exchange API returned no usable rate for .*GBP\/NGN/);
+    assert.equal(page.fees.source, 'api');
+    assert.deepEqual(page.fees.problems, []);
+    assert.equal(page.schedule.Customer.length, 14);
+    assert.deepEqual(page.tiers.map(tier => tier.id), ['standard', 'premium', 'business']);
+
+    // USD/GBP arrives as a string; GBP/NGN is wildly off and NGN/USD has no rate
+    const rejected = page.rejected.sort();
+    assert.equal(rejected.length, 2);
+    assert.match(rejected[0], /^GBP\/NGN: Rate 1927000 is outside the plausible band around 1861\.63/);
+    assert.equal(rejected[1], 'NGN/USD: Rate is not a positive number: null');
+    assert.equal(page.rates.USD.GBP, 0.795);
+    assert.equal(page.sources.USD.NGN, 'live');
+    assert.equal(page.rates.NGN.USD, 1 / 1532.5);
+    assert.equal(page.sources.NGN.USD, 'derived');
+    assert.equal(page.rates.GBP.NGN, (1 / 0.795) * 1532.5);
+    assert.equal(page.sources.GBP.NGN, 'derived');
+    assert.equal(page.sources.EUR.NGN, 'live');
+
+    assert.deepEqual(server.requests.find(request => request.query.from === 'EUR' && request.query.to === 'GBP'), {
+        path: '/default/exchange',
+        query: { from: 'EUR', to: 'GBP' }
+    });
+});
+
+test('a schedule loaded over HTTP prices a premium swap end to end', async () => {
+    const page = await loadPage(httpSource());
+    const premium = page.tiers.find(tier => tier.id === 'premium');
+    const entry = resolveTierEntries(currencies, page.schedule, premium)
+        .find(candidate => candidate.service === 'Currency Conversion');
+    const quote = computeQuote(createPricing(page.rates), 1000, 'USD', 'NGN', entry.rule);
+
+    // 0.5% less the 30% premium discount
+    assert.equal(quote.fee, 3.5);
+    assert.equal(quote.principal, 996.5);
+    assert.equal(quote.receiveAmount, 996.5 * 1532.5);
+});
+
+test('the HTTP data source rejects failed requests with the API it came from', async () => {
+    const source = httpSource({ fees: `${server.url}/missing`, history: `${server.url}/missing` });
+
+    await assert.rejects(source.fetchFees(), { message: 'Fees API response not OK' });
+    await assert.rejects(source.fetchExchangeRate('USD', 'GPB'), { message: 'Exchange API response not OK for USD/GPB' });
+    await assert.rejects(source.fetchRateHistory('USD', 'NGN', '7d'), { message: 'History API response not OK' });
+});
+
+test('tiers fall back from the tier endpoint to the configuration file', async () => {
+    const tierData = await httpSource({ tiers: `${server.url}/broken-tiers` }).fetchTiers();
+    assert.deepEqual(tierData, tierConfig);
+
+    const withoutTiers = await httpSource({ tiers: `${server.url}/default/fee` }).fetchTiers();
+    assert.deepEqual(withoutTiers, tierConfig);
+
+    await assert.rejects(httpSource({ tiers: `${server.url}/broken-tiers` }, null).fetchTiers(), {
+        message: `Tier configuration response not OK from ${server.url}/broken-tiers`
+    });
+});
+
+test('rate history is fetched only when a history endpoint is configured', async () => {
+    assert.equal(await httpSource().fetchRateHistory('USD', 'NGN', '7d'), null);
+
+    const history = await httpSource({ history: `${server.url}/history` }).fetchRateHistory('USD', 'NGN', '7d');
+    assert.deepEqual(history, {
+        from: 'USD', to: 'NGN', range: '7d', rates: [{ timestamp: '2025-10-29T00:00:00Z', rate: 1520.1 }]
+    });
+});
+
+test('the HTTP data source uses the fetch it is given', async () => {
+    const urls = [];
+    const source = createHttpDataSource({
+        endpoints: { fees: 'https://api.example/fee' },
+        fetch: async (url) => {
+            urls.push(url);
+            return { ok: true, json: async () => ({ Customer: {}, Business: {} }) };
+        }
+    });
+
+    assert.deepEqual(await source.fetchFees(), { Customer: {}, Business: {} });
+    assert.deepEqual(urls, ['https://api.example/fee']);
+});
+
+test('the fixture data source serves the same payloads without a network', async () => {
+    const page = await loadPage(createFixtureDataSource({
+        fees: loadFixture('fees.json'),
+        exchange: exchange,
+        tiers: tierConfig
+    }));
+
+    assert.equal(page.schedule.Customer.length, 14);
+    assert.equal(page.tiers.length, 3);
+    assert.equal(page.rates.USD.NGN, 1532.5);
+    assert.equal(page.sources.GBP.NGN, 'derived');
+});
+
+test('fees and rates load independently, each falling back on its own', async () => {
+    const withoutFees = await loadData(createFixtureDataSource({ exchange: exchange }), loadOptions());
+
+    assert.equal(withoutFees.feesLoaded, false);
+    assert.equal(withoutFees.errors.fees.message, 'No fees fixture');
+    assert.equal(withoutFees.fees.source, 'fallback');
+    assert.equal(withoutFees.fees.schedule.Customer[0].service, 'Bundled Transfer');
+    // The exchange API was still asked for every pair
+    assert.equal(withoutFees.rates.source, 'live');
+    assert.equal(withoutFees.rates.quotes.length, 4);
+    assert.deepEqual(withoutFees.problems.exchange.map(problem => problem.path).sort(), ['GBP/NGN', 'NGN/USD']);
+
+    const withoutRates = await loadData(createFixtureDataSource({ fees: loadFixture('fees.json'), exchange: {} }), loadOptions());
+
+    assert.equal(withoutRates.feesLoaded, true);
+    assert.equal(withoutRates.fees.source, 'api');
+    assert.equal(withoutRates.ratesLoaded, false);
+    assert.equal(withoutRates.rates, null);
+    assert.equal(withoutRates.errors.rates.message, 'Exchange API returned no usable rates');
+});
+
+test('rates only count as loaded when every pair is quoted', async () => {
+    const everyPair = Object.fromEntries(getCurrencyPairs(currencies).map(([from, to]) => [`${from}/${to}`, { rate: reference[from][to] }]));
+    const full = await loadData(createFixtureDataSource({ exchange: everyPair }), loadOptions());
+
+    assert.equal(full.ratesLoaded, true);
+    assert.equal(full.errors.rates, null);
+
+    delete everyPair['USD/GBP'];
+    const partial = await loadData(createFixtureDataSource({ exchange: everyPair }), loadOptions());
+
+    assert.equal(partial.ratesLoaded, false);
+    assert.equal(partial.rates.source, 'live');
+    assert.equal(partial.rates.quotes.length, 11);
+    assert.equal(partial.errors.rates.message, 'Exchange API returned no usable rate for USD/GBP');
+});
+
+test('failed loads fall back to saved snapshots that still validate', async () => {
+    const snapshots = {
+        fees: { fetchedAt: 1000, data: { Customer: { Saved: [{ Service: 'Saved Transfer', Fee: '0.3%' }] }, Business: {} } },
+        rates: { fetchedAt: 2000, data: [{ from: 'USD', to: 'NGN', rate: 1600 }, { from: 'USD', to: 'EUR', rate: 90 }] }
+    };
+    const loaded = await loadData(createFixtureDataSource({ exchange: {} }), loadOptions({ snapshots }));
+
+    assert.equal(loaded.fees.source, 'cached');
+    assert.equal(loaded.fees.fetchedAt, 1000);
+    assert.equal(loaded.fees.schedule.Customer[0].service, 'Saved Transfer');
+    // The implausible saved EUR rate is dropped
+    assert.deepEqual(loaded.rates, { source: 'cached', fetchedAt: 2000, quotes: [{ from: 'USD', to: 'NGN', rate: 1600 }] });
+});
+
+test('a failed refresh keeps the data already on screen', async () => {
+    const loaded = await loadData(createFixtureDataSource({ exchange: {} }), loadOptions({ keep: { fees: true, rates: true } }));
+
+    assert.equal(loaded.fees, null);
+    assert.equal(loaded.rates, null);
+    assert.equal(loaded.feesLoaded, false);
+    assert.equal(loaded.ratesLoaded, false);
+});
+
+test('a fee payload with nothing usable counts as not loaded', async () => {
+    const loaded = await loadData(createFixtureDataSource({ fees: { Customer: { Broken: 'nope' } }, exchange: exchange }), loadOptions());
+
+    assert.equal(loaded.feesLoaded, false);
+    assert.equal(loaded.errors.fees.message, 'Fee payload has no usable fees');
+    assert.equal(loaded.fees.source, 'fallback');
+});
+
+test('chooseFallbackFees and cachedQuotes skip snapshots with nothing usable', () => {
+    const bundled = loadOptions().fallbackFees;
+
+    assert.equal(chooseFallbackFees(currencies, null, bundled).source, 'fallback');
+    assert.equal(chooseFallbackFees(currencies, { fetchedAt: 1, data: { Customer: {}, Business: {} } }, bundled).source, 'fallback');
+    assert.deepEqual(cachedQuotes(null, loadOptions()), []);
+    assert.deepEqual(cachedQuotes({ data: 'corrupt' }, loadOptions()), []);
+});
+
+test('the fixture data source rejects what it has no fixture for', async () => {
+    const source = createFixtureDataSource({ exchange: {} });
+
+    await assert.rejects(source.fetchFees(), { message: 'No fees fixture' });
+    await assert.rejects(source.fetchExchangeRate('USD', 'NGN'), { message: 'No exchange fixture for USD/NGN' });
+    await assert.rejects(source.fetchTiers(), { message: 'No tiers fixture' });
+    assert.equal(await source.fetchRateHistory('USD', 'NGN', '7d'), null);
+});
+
+test('the fixture data source hands out copies', async () => {
+    const fees = loadFixture('fees.json');
+    const source = createFixtureDataSource({ fees: fees });
+    (await source.fetchFees()).Customer.Transfers.length = 0;
+
+    assert.equal((await source.fetchFees()).Customer.Transfers.length, 3);
+});
\ No newline at end of file
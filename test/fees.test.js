@@ -0,0 +1,222 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseMoney, parsePercent, parseFeeRule, applyDiscountToFee, classifyFee, calculateFee,
+    validateFeesPayload, createFeeEntry, processFeesData, diffFeeSchedules
+} from '../lib/fees.js';
+import { currencies, createPricing, loadFixture } from './helpers/fixtures.js';
+
+const parse = (feeText) => parseFeeRule(currencies, feeText);
+
+test('parseMoney reads symbols and codes on either side of the amount', () => {
+    assert.deepEqual(parseMoney(currencies, '₦1,000'), { amount: 1000, currency: 'NGN', index: 0, length: 6 });
+    assert.equal(parseMoney(currencies, 'USD 15').currency, 'USD');
+    assert.equal(parseMoney(currencies, 'fee of 2.50 eur').amount, 2.5);
+    assert.equal(parseMoney(currencies, '2.50 GPB'), null);
+    assert.equal(parsePercent('1.5 % per transfer'), 1.5);
+    assert.equal(parsePercent('.5%'), 0.5);
+    assert.equal(parsePercent('$10'), null);
+});
+
+test('parseFeeRule types every fee in the API fixture', () => {
+    const fees = loadFixture('fees.json');
+    const types = {};
+    ['Customer', 'Business'].forEach(segment => Object.values(fees[segment]).flat().forEach(item => {
+        types[item.Service] = parse(item.Fee).type;
+    }));
+
+    assert.deepEqual(types, {
+        'Wallet to Wallet Transfer': 'percentage',
+        'NGN Bank Transfer': 'flat',
+        'USD Bank Transfer': 'flat',
+        'Virtual Card Creation': 'flat',
+        'Card Maintenance': 'free',
+        'Card Funding': 'capped',
+        'Card Decline': 'flat',
+        'Currency Conversion': 'percentage',
+        'Tiered Withdrawal': 'tiered',
+        'ATM Withdrawal': 'capped',
+        'Bank Deposit': 'free',
+        'Cash Deposit': 'percentage',
+        'Premium Plan': 'recurring',
+        'Account Statement': 'flat',
+        'Business API Access': 'negotiated',
+        'Batch Payments': 'flat',
+        'Settlement Services': 'percentage',
+        'Priority Support': 'recurring'
+    });
+});
+
+test('parseFeeRule reads amounts, bounds, bands and periods', () => {
+    assert.deepEqual(parse('₦100'), { type: 'flat', amount: 100, currency: 'NGN', unit: null });
+    assert.deepEqual(parse('.5%'), { type: 'percentage', percent: 0.5 });
+    assert.deepEqual(parse('$0.50 per payment'), { type: 'flat', amount: 0.5, currency: 'USD', unit: 'payment' });
+    assert.deepEqual(parse('1.5% capped at $10'), {
+        type: 'capped', percent: 1.5, min: null, max: { amount: 10, currency: 'USD' }
+    });
+    assert.deepEqual(parse('1% up to $1,000; 0.5% above $1,000'), {
+        type: 'tiered',
+        bands: [
+            { upTo: { amount: 1000, currency: 'USD' }, rule: { type: 'percentage', percent: 1 } },
+            { upTo: null, rule: { type: 'percentage', percent: 0.5 } }
+        ]
+    });
+    assert.deepEqual(parse('$1,000 per year'), { type: 'recurring', amount: 1000, currency: 'USD', period: 'year' });
+});
+
+test('parseFeeRule keeps what it cannot interpret as unknown', () => {
+    assert.deepEqual(parse('ask your mum'), { type: 'unknown', raw: 'ask your mum' });
+    assert.deepEqual(parse('N/A'), { type: 'unknown', raw: 'N/A' });
+    assert.deepEqual(parse(undefined), { type: 'unknown', raw: '' });
+    // A percentage next to an amount we cannot place is ambiguous
+    assert.equal(parse('1% plus $2').type, 'unknown');
+    // So is an amount with words around it that change what it means
+    for (const fee of ['Free for first 3 transfers, then $1', '₦25 - ₦50', 'Up to $5', '$5 per page', 'Up to 2%', 'Max 1%', '1% min']) {
+        assert.deepEqual(parse(fee), { type: 'unknown', raw: fee }, fee);
+    }
+});
+
+test('applyDiscountToFee scales every priced part of a rule', () => {
+    const factor = 0.7;
+
+    assert.equal(applyDiscountToFee(parse('0.25%'), factor).percent, 0.25 * 0.7);
+    assert.equal(applyDiscountToFee(parse('$1.50'), factor).amount, 1.5 * 0.7);
+    assert.equal(applyDiscountToFee(parse('$99/month'), factor).amount, 99 * 0.7);
+
+    const capped = applyDiscountToFee(parse('2% min $2'), factor);
+    assert.equal(capped.percent, 1.4);
+    assert.deepEqual(capped.min, { amount: 2 * 0.7, currency: 'USD' });
+    assert.equal(capped.max, null);
+
+    const tiered = applyDiscountToFee(parse('1% up to $1,000; 0.5% above $1,000'), factor);
+    assert.deepEqual(tiered.bands.map(band => band.rule.percent), [0.7, 0.35]);
+    // Band limits are amounts of the transfer, not fees, so they are not discounted
+    assert.equal(tiered.bands[0].upTo.amount, 1000);
+});
+
+test('applyDiscountToFee leaves unpriced rules and its input alone', () => {
+    const rule = parse('0.5%');
+
+    for (const fee of ['FREE', 'Custom', 'ask your mum']) {
+        assert.deepEqual(applyDiscountToFee(parse(fee), 0.7), parse(fee));
+    }
+    applyDiscountToFee(rule, 0.5);
+    assert.equal(rule.percent, 0.5);
+});
+
+test('classifyFee groups rules for the fee type filter', () => {
+    assert.deepEqual(['0.5%', '1.5% capped at $10', '$15', '$99/month', 'Free', 'Custom', '???'].map(fee => classifyFee(parse(fee))),
+        ['percentage', 'percentage', 'flat', 'flat', 'free', 'custom', 'custom']);
+});
+
+test('calculateFee prices each rule type in the amount\'s currency', () => {
+    const pricing = createPricing();
+    const fee = (feeText, amount, currency = 'USD') => calculateFee(pricing, parse(feeText), amount, currency);
+
+    assert.deepEqual(fee('0.25%', 1000), { amount: 2.5, minor: 250, currency: 'USD' });
+    // Percentage fees round up to the next minor unit
+    assert.equal(fee('0.25%', 0.1).minor, 1);
+    assert.equal(fee('1.5% capped at $10', 1000).amount, 10);
+    assert.equal(fee('1.5% capped at $10', 100).amount, 1.5);
+    assert.equal(fee('2% min $2', 50).amount, 2);
+    assert.equal(fee('1% up to $1,000; 0.5% above $1,000', 1000).amount, 10);
+    assert.equal(fee('1% up to $1,000; 0.5% above $1,000', 1000.01).amount, 5.01);
+    // Flat fees in another currency are converted at the table rate
+    assert.equal(fee('₦100', 1000).amount, 0.07);
+    assert.equal(fee('$1.50', 100000, 'NGN').amount, 2220);
+    assert.deepEqual(fee('$99/month', 1000), {
+        amount: 0, minor: 0, currency: 'USD', recurring: parse('$99/month')
+    });
+    assert.equal(fee('Custom', 1000), null);
+    assert.equal(fee('ask your mum', 1000), null);
+});
+
+test('calculateFee cannot price a fixed amount without a rate', () => {
+    const pricing = createPricing({ USD: { USD: 1 } });
+
+    assert.equal(calculateFee(pricing, parse('₦100'), 1000, 'USD'), null);
+    assert.equal(calculateFee(pricing, parse('1.5% capped at ₦15,000'), 1000, 'USD'), null);
+});
+
+test('validateFeesPayload keeps valid entries and reports the rest', () => {
+    const { data, problems } = validateFeesPayload(loadFixture('fees-malformed.json'));
+
+    assert.deepEqual(data, {
+        Customer: {
+            Transfers: [
+                { Service: 'Wallet to Wallet Transfer', Fee: '0.25%', Description: 'Instant transfers between VitalSwap wallets' },
+                { Service: 'Odd Description', Fee: 2, Description: 42 }
+            ]
+        }
+    });
+    assert.deepEqual(problems, [
+        { path: 'Customer.Transfers[1]', message: 'Entry is not an object' },
+        { path: 'Customer.Transfers[2].Service', message: 'Missing service name' },
+        { path: 'Customer.Transfers[3].Fee', message: 'Missing fee' },
+        { path: 'Customer.Transfers[4].Description', message: 'Description is not text' },
+        { path: 'Customer.Cards', message: 'Category is not an array' },
+        { path: 'Business', message: 'Expected an object of categories' }
+    ]);
+    assert.deepEqual(validateFeesPayload([]).problems, [{ path: '$', message: 'Fee payload is not an object' }]);
+});
+
+test('createFeeEntry gives each item a stable id and a parsed rule', () => {
+    const entry = createFeeEntry(currencies, { Service: 'Card Funding', Fee: '1.0%' }, 'Cards', 'Customer');
+
+    assert.deepEqual(entry, {
+        id: 'Customer/Cards/Card Funding',
+        segment: 'Customer',
+        category: 'Cards',
+        service: 'Card Funding',
+        fee: '1.0%',
+        description: '',
+        rule: { type: 'percentage', percent: 1 }
+    });
+    assert.equal(createFeeEntry(currencies, { Service: 'Odd', Fee: 2 }, 'Other', 'Business').fee, '2');
+});
+
+test('processFeesData builds the schedule from the API fixture', () => {
+    const { schedule, problems } = processFeesData(currencies, loadFixture('fees.json'));
+
+    assert.deepEqual(problems, []);
+    assert.equal(schedule.Customer.length, 14);
+    assert.equal(schedule.Business.length, 4);
+    assert.deepEqual(schedule.unparsed, []);
+    assert.deepEqual(schedule.Customer.slice(0, 2).map(entry => entry.id), [
+        'Customer/Transfers/Wallet to Wallet Transfer',
+        'Customer/Transfers/NGN Bank Transfer'
+    ]);
+    assert.ok([...schedule.Customer, ...schedule.Business].every(entry => entry.rule.type !== 'unknown'));
+});
+
+test('processFeesData uses only the parts of a payload that validate', () => {
+    const fees = loadFixture('fees.json');
+    fees.Customer.Withdrawals = 'offline';
+    fees.Customer.Other.push({ Service: 'Weird', Fee: 'ask your mum' });
+    const { schedule, problems } = processFeesData(currencies, fees);
+
+    assert.deepEqual(problems, [{ path: 'Customer.Withdrawals', message: 'Category is not an array' }]);
+    assert.equal(schedule.Customer.length, 13);
+    assert.deepEqual(schedule.unparsed.map(entry => entry.id), ['Customer/Other/Weird']);
+    assert.deepEqual(processFeesData(currencies, null).schedule, { Customer: [], Business: [], unparsed: [] });
+});
+
+test('diffFeeSchedules reports added, changed and removed fees', () => {
+    const { schedule } = processFeesData(currencies, loadFixture('fees.json'));
+    const previous = {};
+    [...schedule.Customer, ...schedule.Business].forEach(entry => {
+        previous[entry.id] = entry.fee;
+    });
+    previous['Customer/Transfers/Wallet to Wallet Transfer'] = '0.5%';
+    delete previous['Customer/Cards/Card Decline'];
+    previous['Customer/Cards/Card Replacement'] = '$5';
+
+    assert.deepEqual(diffFeeSchedules(previous, schedule), {
+        byId: {
+            'Customer/Transfers/Wallet to Wallet Transfer': { status: 'changed', previousFee: '0.5%' },
+            'Customer/Cards/Card Decline': { status: 'added' }
+        },
+        removed: [{ id: 'Customer/Cards/Card Replacement', fee: '$5' }]
+    });
+    assert.deepEqual(diffFeeSchedules(null, schedule), { byId: {}, removed: [] });
+});
\ No newline at end of file
@@ -0,0 +1,23 @@
+/**
+ * Test fixtures
+ * Description: Loads the payload fixtures and builds pricing contexts like the page's
+ */
+
+import { readFileSync } from 'node:fs';
+import { buildRateTable, registry } from '../../lib/currencies.js';
+
+// Read a JSON fixture from test/fixtures (a fresh copy each time)
+export function loadFixture(name) {
+    return JSON.parse(readFileSync(new URL(`../fixtures/${name}`, import.meta.url), 'utf8'));
+}
+
+// The page's currency registry
+export const currencies = registry;
+
+// The rounding modes from App.config.rounding
+export const rounding = { fee: 'up', payout: 'down', conversion: 'half-even', input: 'half-up' };
+
+// A pricing context over the given rate table, or the registry's fallback rates
+export function createPricing(rates = buildRateTable(currencies)) {
+    return { currencies: currencies, rates: rates, rounding: rounding };
+}
\ No newline at end of file
@@ -0,0 +1,37 @@
+/**
+ * Mock VitalSwap API
+ * Description: A local HTTP server answering like the fee, exchange, tier and history APIs from fixtures
+ */
+
+import { createServer } from 'node:http';
+
+/*
+ * Start a server on a free port. `routes` maps a path to a handler
+ * (query) => { status, body }, or to a fixed body served with 200.
+ * Resolves to { url, requests, close } where `requests` logs every path and query hit.
+ */
+export async function startMockServer(routes) {
+    const requests = [];
+    const server = createServer((request, response) => {
+        const { pathname, searchParams } = new URL(request.url, 'http://localhost');
+        const query = Object.fromEntries(searchParams);
+        requests.push({ path: pathname, query: query });
+
+        const route = routes[pathname];
+        const { status, body } = typeof route === 'function'
+            ? route(query)
+            : route === undefined ? { status: 404, body: { message: 'Not Found' } } : { status: 200, body: route };
+
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(typeof body === 'string' ? body : JSON.stringify(body));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        requests: requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
\ No newline at end of file
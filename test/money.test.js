@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toFraction, divideRounded, multiplyMinor, toMinor, fromMinor, convertMinor, convertAmount } from '../lib/money.js';
+import { createPricing } from './helpers/fixtures.js';
+
+test('toFraction turns numbers into exact decimal fractions', () => {
+    assert.deepEqual(toFraction(0.175), { numerator: 175n, denominator: 1000n });
+    assert.deepEqual(toFraction(0.1 + 0.2), { numerator: 3n, denominator: 10n });
+    assert.deepEqual(toFraction(1e-7), { numerator: 1n, denominator: 10000000n });
+    assert.deepEqual(toFraction(1500), { numerator: 1500n, denominator: 1n });
+});
+
+test('divideRounded applies each rounding mode', () => {
+    const round = (n, d, mode) => Number(divideRounded(BigInt(n), BigInt(d), mode));
+
+    assert.deepEqual(['up', 'down', 'half-up', 'half-even'].map(mode => round(7, 2, mode)), [4, 3, 4, 4]);
+    assert.deepEqual(['up', 'down', 'half-up', 'half-even'].map(mode => round(5, 2, mode)), [3, 2, 3, 2]);
+    assert.deepEqual(['up', 'down', 'half-up', 'half-even'].map(mode => round(-7, 2, mode)), [-3, -4, -4, -4]);
+    assert.equal(round(10, 3, 'half-up'), 3);
+    assert.equal(round(6, 2, 'up'), 3);
+    assert.throws(() => round(1, 3, 'sideways'), /Unknown rounding mode: sideways/);
+});
+
+test('multiplyMinor rounds once after an exact multiplication', () => {
+    // 0.25% of $0.10 is 0.025 cents
+    assert.equal(multiplyMinor(10, 0.25, 'up', 100), 1);
+    assert.equal(multiplyMinor(10, 0.25, 'down', 100), 0);
+    // 0.175% of $1,000 without binary noise
+    assert.equal(multiplyMinor(100000, 0.25 * 0.7, 'up', 100), 175);
+});
+
+test('toMinor and fromMinor work in each currency\'s minor unit', () => {
+    const pricing = createPricing();
+
+    assert.equal(toMinor(pricing, 1.005, 'USD'), 101);
+    assert.equal(toMinor(pricing, 0.1 + 0.2, 'USD'), 30);
+    assert.equal(toMinor(pricing, 1.005, 'USD', 'down'), 100);
+    assert.equal(fromMinor(pricing, 30, 'USD'), 0.3);
+    assert.equal(fromMinor(pricing, 150000, 'NGN'), 1500);
+});
+
+test('convertMinor converts between currencies at the table rate or a given one', () => {
+    const pricing = createPricing({ USD: { USD: 1, NGN: 1500 }, NGN: { NGN: 1, USD: 1 / 1500 } });
+
+    assert.equal(convertMinor(pricing, 100000, 'USD', 'NGN', 'down'), 150000000);
+    assert.equal(convertMinor(pricing, 100, 'NGN', 'USD', 'half-even'), 0);
+    assert.equal(convertMinor(pricing, 100, 'USD', 'NGN', 'down', 1532.5), 153250);
+    assert.equal(convertMinor(pricing, 123, 'USD', 'USD', 'down'), 123);
+    assert.equal(convertMinor(pricing, 100, 'USD', 'EUR', 'down'), null);
+});
+
+test('convertAmount rounds with the conversion mode', () => {
+    const pricing = createPricing();
+
+    // ₦100 at the fallback 1480 per dollar is 6.76 cents, rounded half-even
+    assert.equal(convertAmount(pricing, 100, 'NGN', 'USD'), 0.07);
+    assert.equal(convertAmount(pricing, 10, 'USD', 'USD'), 10);
+    assert.equal(convertAmount(createPricing({ USD: { USD: 1 } }), 10, 'USD', 'NGN'), null);
+});
\ No newline at end of file
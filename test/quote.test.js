@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeQuote, computeReverseQuote } from '../lib/quote.js';
+import { parseFeeRule } from '../lib/fees.js';
+import { applyQuotes, buildRateTable } from '../lib/currencies.js';
+import { toMinor, fromMinor } from '../lib/money.js';
+import { currencies, createPricing } from './helpers/fixtures.js';
+
+const parse = (feeText) => parseFeeRule(currencies, feeText);
+const { rates } = applyQuotes(buildRateTable(currencies), [
+    { from: 'USD', to: 'NGN', rate: 1500 },
+    { from: 'USD', to: 'EUR', rate: 0.92 },
+    { from: 'USD', to: 'GBP', rate: 0.79 }
+], currencies);
+const pricing = createPricing(rates);
+const fees = ['0.25%', '$1.50', 'FREE', '1.5% capped at $10', '1% up to $1,000; 0.5% above $1,000', '₦100', '2% min $2'];
+
+test('computeQuote takes the fee out of the amount sent', () => {
+    const quote = computeQuote(pricing, 1000, 'USD', 'NGN', parse('0.25%'));
+
+    assert.equal(quote.rate, 1500);
+    assert.equal(quote.fee, 2.5);
+    assert.equal(quote.principal, 997.5);
+    assert.equal(quote.receiveAmount, 1496250);
+    assert.deepEqual(quote.minor, { send: 100000, fee: 250, principal: 99750, receive: 149625000 });
+    assert.deepEqual(quote.feeResult, { amount: 2.5, minor: 250, currency: 'USD' });
+});
+
+test('computeQuote settles send = fee + principal exactly', () => {
+    for (const feeText of fees) {
+        for (const amount of [0.01, 1, 19.99, 333.33, 1000, 1000.01, 48213.57]) {
+            for (const [from, to] of [['USD', 'NGN'], ['EUR', 'GBP'], ['NGN', 'EUR']]) {
+                const quote = computeQuote(pricing, amount, from, to, parse(feeText));
+                assert.equal(quote.minor.send, quote.minor.fee + quote.minor.principal, `${feeText} on ${amount} ${from}`);
+                assert.ok(quote.minor.fee <= quote.minor.send);
+            }
+        }
+    }
+});
+
+test('computeQuote never charges more than is sent', () => {
+    const quote = computeQuote(pricing, 1, 'USD', 'NGN', parse('$15'));
+
+    assert.equal(quote.fee, 1);
+    assert.equal(quote.principal, 0);
+    assert.equal(quote.receiveAmount, 0);
+});
+
+test('computeQuote takes no fee when the fee cannot be priced', () => {
+    const quote = computeQuote(pricing, 100, 'USD', 'NGN', parse('Custom'));
+
+    assert.equal(quote.feeResult, null);
+    assert.equal(quote.fee, 0);
+    assert.equal(quote.receiveAmount, 150000);
+});
+
+test('computeQuote rejects pairs without a rate', () => {
+    assert.throws(() => computeQuote(pricing, 100, 'USD', 'GPB', parse('0.25%')), /No exchange rate available for USD\/GPB/);
+});
+
+test('computeReverseQuote finds the smallest send amount that covers the target', () => {
+    for (const feeText of fees) {
+        for (const target of [1000, 250000.37, 1500000]) {
+            const quote = computeReverseQuote(pricing, target, 'USD', 'NGN', parse(feeText));
+            const targetMinor = toMinor(pricing, target, 'NGN');
+            const oneLess = computeQuote(pricing, fromMinor(pricing, quote.minor.send - 1, 'USD'), 'USD', 'NGN', parse(feeText));
+
+            assert.ok(quote.minor.receive >= targetMinor, `${feeText} covers ${target}`);
+            assert.ok(oneLess.minor.receive < targetMinor, `${feeText} is minimal for ${target}`);
+        }
+    }
+});
+
+test('computeReverseQuote prices backwards from a known quote', () => {
+    const quote = computeReverseQuote(pricing, 1496250, 'USD', 'NGN', parse('0.25%'));
+
+    assert.equal(quote.sendAmount, 1000);
+    assert.equal(quote.fee, 2.5);
+    assert.equal(quote.receiveAmount, 1496250);
+});
+
+test('computeReverseQuote sends nothing when the fee cannot be priced', () => {
+    const quote = computeReverseQuote(pricing, 1000, 'USD', 'NGN', parse('Custom'));
+
+    assert.equal(quote.sendAmount, 0);
+    assert.equal(quote.feeResult, null);
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateTierConfig, resolveTierEntries } from '../lib/tiers.js';
+import { processFeesData } from '../lib/fees.js';
+import { currencies, loadFixture } from './helpers/fixtures.js';
+
+const tierConfig = JSON.parse(readFileSync(new URL('../tiers.json', import.meta.url), 'utf8'));
+const { schedule } = processFeesData(currencies, loadFixture('fees.json'));
+const tier = (id) => tierConfig.tiers.find(candidate => candidate.id === id);
+
+test('the shipped tiers.json validates', () => {
+    const { tiers, problems } = validateTierConfig(currencies, tierConfig);
+
+    assert.deepEqual(problems, []);
+    assert.deepEqual(tiers.map(entry => entry.id), ['standard', 'premium', 'business']);
+});
+
+test('validateTierConfig drops bad tiers and keeps the rest', () => {
+    const { tiers, problems } = validateTierConfig(currencies, {
+        tiers: [
+            { id: 'standard', name: 'Standard' },
+            { id: 'standard', name: 'Duplicate' },
+            { id: 'gold plan', name: 'Gold' },
+            { id: 'vip', name: 'VIP', discountPercent: 100 },
+            { id: 'plus', name: 'Plus', subscription: '1%' },
+            { id: 'pro', name: 'Pro', subscription: '$9.99/month', discountPercent: 20 },
+            { name: 'No id' }
+        ]
+    });
+
+    assert.deepEqual(tiers.map(entry => entry.id), ['standard', 'pro']);
+    assert.deepEqual(problems.map(problem => problem.path), [
+        'tiers[1].id', 'tiers[2].id', 'tiers[3].discountPercent', 'tiers[4].subscription', 'tiers[6]'
+    ]);
+});
+
+test('validateTierConfig returns no tiers for an unusable configuration', () => {
+    for (const tierData of [null, {}, { tiers: [] }, { tiers: [{ id: 1, name: 'One' }] }]) {
+        assert.equal(validateTierConfig(currencies, tierData).tiers, null);
+    }
+    assert.deepEqual(validateTierConfig(currencies, { tiers: 'all' }).problems, [
+        { path: 'tiers', message: 'Expected a non-empty array of tiers' }
+    ]);
+});
+
+test('every tier covers its whole segment, not a slice of it', () => {
+    // Regression: Standard once showed the first six Customer fees and Premium the next six
+    const standard = resolveTierEntries(currencies, schedule, tier('standard'));
+    const premium = resolveTierEntries(currencies, schedule, tier('premium'));
+    const business = resolveTierEntries(currencies, schedule, tier('business'));
+
+    assert.deepEqual(standard.map(entry => entry.id), schedule.Customer.map(entry => entry.id));
+    assert.deepEqual(premium.map(entry => entry.id), schedule.Customer.map(entry => entry.id));
+    assert.deepEqual(business.map(entry => entry.id), schedule.Business.map(entry => entry.id));
+    assert.ok(standard.every(entry => entry.tierId === 'standard'));
+});
+
+test('resolveTierEntries applies the tier discount to each fee', () => {
+    const standard = resolveTierEntries(currencies, schedule, tier('standard'));
+    const premium = resolveTierEntries(currencies, schedule, tier('premium'));
+    const rule = (entries, service) => entries.find(entry => entry.service === service).rule;
+
+    assert.equal(rule(standard, 'Wallet to Wallet Transfer').percent, 0.25);
+    assert.equal(rule(premium, 'Wallet to Wallet Transfer').percent, 0.25 * 0.7);
+    assert.equal(rule(premium, 'USD Bank Transfer').amount, 15 * 0.7);
+    assert.deepEqual(rule(premium, 'Card Maintenance'), { type: 'free' });
+    // The schedule itself is not discounted
+    assert.equal(schedule.Customer[0].rule.percent, 0.25);
+});
+
+test('resolveTierEntries filters by service and category and applies overrides', () => {
+    const entries = resolveTierEntries(currencies, schedule, {
+        id: 'cards',
+        name: 'Cards',
+        segments: ['Customer'],
+        categories: ['Cards', 'Transfers'],
+        services: ['Card Funding', 'Virtual Card Creation', 'NGN Bank Transfer', 'Cash Deposit'],
+        discountPercent: 50,
+        overrides: { 'Virtual Card Creation': 'Free' }
+    });
+
+    assert.deepEqual(entries.map(entry => [entry.service, entry.fee, entry.rule.type]), [
+        ['NGN Bank Transfer', '₦100', 'flat'],
+        ['Virtual Card Creation', 'Free', 'free'],
+        ['Card Funding', '1.5% capped at $10', 'capped']
+    ]);
+    assert.equal(entries[0].rule.amount, 50);
+    assert.equal(entries[2].rule.max.amount, 5);
+});
+
+test('resolveTierEntries is empty until fees have loaded', () => {
+    assert.deepEqual(resolveTierEntries(currencies, null, tier('standard')), []);
+});
\ No newline at end of file